@@ -0,0 +1,309 @@
+// Local stand-in for HydAPI (https://hydapi.nve.no) so the app can be run and
+// tested without network access or a real API key.
+//
+//   npm run mock-api
+//   VITE_NVE_API_BASE_URL=http://localhost:8787/api/v1 VITE_NVE_API_KEY=mock-key npm run dev
+//
+// Any non-empty X-API-Key is accepted, except "forbidden" (403). A key that
+// makes more than RATE_LIMIT requests within RATE_WINDOW_MS gets a 429 with
+// Retry-After, so the client's backoff can be exercised.
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+const BASE_PATH = '/api/v1';
+const RATE_LIMIT = 30;
+const RATE_WINDOW_MS = 10 * 1000;
+const MAX_POINTS = 200000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const PARAMETERS = [
+  { parameter: 1001, parameterName: 'Vannføring', parameterNameEng: 'Discharge', unit: 'm³/s' },
+  { parameter: 1000, parameterName: 'Vannstand', parameterNameEng: 'Stage', unit: 'm' },
+  { parameter: 1003, parameterName: 'Vanntemperatur', parameterNameEng: 'Water temperature', unit: '°C' },
+  { parameter: 17, parameterName: 'Lufttemperatur', parameterNameEng: 'Air temperature', unit: '°C' },
+  { parameter: 2001, parameterName: 'Snødybde', parameterNameEng: 'Snow depth', unit: 'cm' },
+  { parameter: 3001, parameterName: 'Nedbør', parameterNameEng: 'Precipitation', unit: 'mm' },
+];
+
+const STATIONS = [
+  { stationId: '2.11.0', stationName: 'Narsjø', riverName: 'Glomma', latitude: 62.357, longitude: 11.465, councilName: 'Os', countyName: 'Innlandet', drainageBasinArea: 119, regulated: true, active: true, mean: 4.2, parameters: [1001, 1000, 1003] },
+  { stationId: '2.268.0', stationName: 'Akslen', riverName: 'Glomma', latitude: 61.833, longitude: 10.183, councilName: 'Sel', countyName: 'Innlandet', drainageBasinArea: 1795, regulated: true, active: true, mean: 48, parameters: [1001, 1000] },
+  { stationId: '2.604.0', stationName: 'Elverum', riverName: 'Glomma', latitude: 60.883, longitude: 11.563, councilName: 'Elverum', countyName: 'Innlandet', drainageBasinArea: 15449, regulated: true, active: true, mean: 220, parameters: [1001, 1000, 1003, 17] },
+  { stationId: '12.70.0', stationName: 'Etna', riverName: 'Etna', latitude: 60.95, longitude: 9.617, councilName: 'Nordre Land', countyName: 'Innlandet', drainageBasinArea: 570, regulated: false, active: true, mean: 12.5, parameters: [1001, 1000, 2001, 3001] },
+  { stationId: '62.5.0', stationName: 'Bulken', riverName: 'Vosso', latitude: 60.63, longitude: 6.283, councilName: 'Voss', countyName: 'Vestland', drainageBasinArea: 1092, regulated: false, active: true, mean: 75, parameters: [1001, 1000, 17, 3001] },
+  { stationId: '122.9.0', stationName: 'Gaulfoss', riverName: 'Gaula', latitude: 63.093, longitude: 10.221, councilName: 'Midtre Gauldal', countyName: 'Trøndelag', drainageBasinArea: 3085, regulated: false, active: true, mean: 90, parameters: [1001, 1000, 1003] },
+  { stationId: '212.10.0', stationName: 'Masi', riverName: 'Kautokeinoelva', latitude: 69.442, longitude: 23.66, councilName: 'Kautokeino', countyName: 'Finnmark', drainageBasinArea: 5626, regulated: false, active: true, mean: 60, parameters: [1001, 1000, 2001] },
+  { stationId: '16.66.0', stationName: 'Grovåi', riverName: 'Grovåi', latitude: 59.85, longitude: 8.5, councilName: 'Tinn', countyName: 'Telemark', drainageBasinArea: 6.9, regulated: false, active: false, mean: 0.35, parameters: [1001] },
+];
+
+const SERIES_START = Date.UTC(1980, 0, 1);
+const CLOSED_END = Date.UTC(2015, 11, 31);
+
+const parameterInfo = (id) => PARAMETERS.find(p => p.parameter === Number(id));
+
+const seriesEnd = (station) => (station.active ? Date.now() : CLOSED_END);
+
+const toStation = (station) => ({
+  stationId: station.stationId,
+  stationName: station.stationName,
+  latitude: station.latitude,
+  longitude: station.longitude,
+  masl: 200,
+  riverName: station.riverName,
+  councilNumber: '0000',
+  councilName: station.councilName,
+  countyName: station.countyName,
+  drainageBasinArea: station.drainageBasinArea,
+  drainageBasinAreaNorway: station.drainageBasinArea,
+  regulationArea: station.regulated ? station.drainageBasinArea * 0.4 : 0,
+  regulationPartReservoirs: station.regulated ? 35 : 0,
+  stationStatusName: station.active ? 'Aktiv' : 'Nedlagt',
+  stationTypeName: 'Vannføringsstasjon',
+  seriesList: station.parameters.map(id => toSeries(station, id))
+});
+
+const toSeries = (station, id) => {
+  const info = parameterInfo(id);
+  const from = new Date(SERIES_START).toISOString();
+  const to = new Date(seriesEnd(station)).toISOString();
+  return {
+    parameterName: info.parameterName,
+    parameter: info.parameter,
+    versionNo: 1,
+    unit: info.unit,
+    serieFrom: from,
+    serieTo: station.active ? null : to,
+    resolutionList: [0, 60, 1440].map(resTime => ({
+      resTime,
+      method: resTime === 0 ? 'Instantaneous' : 'Mean',
+      timeOffset: 'PT0H',
+      dataFromTime: from,
+      dataToTime: to
+    }))
+  };
+};
+
+// Deterministic pseudo random number in [0, 1) for a given seed.
+const noise = (seed) => {
+  const x = Math.sin(seed * 12.9898) * 43758.5453;
+  return x - Math.floor(x);
+};
+
+const stationSeed = (stationId) => [...stationId].reduce((sum, c) => sum + c.charCodeAt(0), 0);
+
+const dayOfYear = (time) => (time - Date.UTC(new Date(time).getUTCFullYear(), 0, 1)) / DAY_MS;
+
+const valueAt = (station, parameter, time) => {
+  const seed = stationSeed(station.stationId) + parameter;
+  const day = dayOfYear(time);
+  const year = new Date(time).getUTCFullYear();
+  const yearFactor = 0.7 + 0.6 * noise(seed + year);
+  const jitter = noise(seed + time / HOUR_MS);
+
+  switch (parameter) {
+    case 1001: {
+      const flood = Math.exp(-(((day - 150) / 25) ** 2));
+      const autumn = 0.4 * Math.exp(-(((day - 290) / 30) ** 2));
+      return station.mean * (0.3 + 2.5 * flood * yearFactor + autumn + 0.1 * jitter);
+    }
+    case 1000: {
+      const discharge = valueAt(station, 1001, time);
+      return 0.3 + 0.45 * (discharge / station.mean) ** 0.6 + 0.01 * (jitter - 0.5);
+    }
+    case 1003:
+      return Math.max(0, 8 - 8 * Math.cos(((day - 20) / 365) * 2 * Math.PI) + jitter);
+    case 17:
+      return 3 - 12 * Math.cos(((day - 15) / 365) * 2 * Math.PI) + 6 * (jitter - 0.5);
+    case 2001:
+      return day < 130 || day > 310 ? Math.max(0, 80 * yearFactor * Math.sin(((day + 55) % 365) / 185 * Math.PI) + 5 * jitter) : 0;
+    case 3001:
+      return jitter > 0.7 ? (jitter - 0.7) * 20 : 0;
+    default:
+      return null;
+  }
+};
+
+// A quiet week every autumn without data, so gap handling can be tested.
+const inGap = (time) => {
+  const day = dayOfYear(time);
+  return day >= 280 && day < 287;
+};
+
+// HydAPI quality codes: 1 uncontrolled, 2 primary and 3 secondary controlled.
+const quality = (time) => {
+  const age = Date.now() - time;
+  if (age < 30 * DAY_MS) return 1;
+  if (age < 365 * DAY_MS) return 2;
+  return 3;
+};
+
+const parseReferenceTime = (value, station) => {
+  const end = seriesEnd(station);
+  if (!value) return [end - DAY_MS, end];
+  const [from, to] = value.split('/');
+  const fromMs = Date.parse(from);
+  const toMs = to ? Date.parse(to) : end;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) return null;
+  return [Math.max(fromMs, SERIES_START), Math.min(toMs, end)];
+};
+
+const observations = (station, parameter, resolutionTime, [from, to]) => {
+  const step = resolutionTime === 1440 ? DAY_MS : HOUR_MS;
+  const start = Math.ceil(from / step) * step;
+  if ((to - start) / step > MAX_POINTS) return null;
+
+  const result = [];
+  for (let time = start; time <= to; time += step) {
+    if (inGap(time)) continue;
+    result.push({
+      time: new Date(time).toISOString(),
+      value: Math.round(valueAt(station, parameter, time) * 1000) / 1000,
+      correction: 0,
+      quality: quality(time)
+    });
+  }
+  return result;
+};
+
+const rateLimits = new Map();
+
+const rateLimited = (key) => {
+  const now = Date.now();
+  const hits = (rateLimits.get(key) || []).filter(t => now - t < RATE_WINDOW_MS);
+  hits.push(now);
+  rateLimits.set(key, hits);
+  return hits.length > RATE_LIMIT ? Math.ceil((RATE_WINDOW_MS - (now - hits[0])) / 1000) : 0;
+};
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Accept, X-API-Key',
+    ...headers
+  });
+  res.end(body === null ? undefined : JSON.stringify(body));
+};
+
+const envelope = (data) => ({
+  apiVersion: 'mock',
+  license: 'https://data.norge.no/nlod/no/2.0',
+  createdAt: new Date().toISOString(),
+  itemCount: data.length,
+  data
+});
+
+const findStations = (ids) => {
+  if (!ids) return STATIONS;
+  const wanted = ids.split(',');
+  return STATIONS.filter(s => wanted.includes(s.stationId));
+};
+
+const routes = {
+  '/Stations': (query) => envelope(findStations(query.get('StationId')).map(toStation)),
+
+  '/Parameters': () => envelope(PARAMETERS),
+
+  '/Series': (query) => {
+    const parameter = query.get('Parameter');
+    return envelope(findStations(query.get('StationId')).flatMap(station =>
+      station.parameters
+        .filter(id => !parameter || String(id) === parameter)
+        .map(id => ({ stationId: station.stationId, stationName: station.stationName, ...toSeries(station, id) }))
+    ));
+  },
+
+  '/Observations': (query) => {
+    const parameters = (query.get('Parameter') || '').split(',').filter(Boolean).map(Number);
+    const resolutionTime = Number(query.get('ResolutionTime') || 0);
+    if (!query.get('StationId') || !parameters.length) {
+      return { status: 400, body: { title: 'StationId og Parameter må oppgis' } };
+    }
+
+    const data = [];
+    for (const station of findStations(query.get('StationId'))) {
+      const range = parseReferenceTime(query.get('ReferenceTime'), station);
+      if (!range) return { status: 400, body: { title: 'Ugyldig ReferenceTime' } };
+
+      for (const parameter of parameters.filter(p => station.parameters.includes(p))) {
+        const values = observations(station, parameter, resolutionTime, range);
+        if (!values) return { status: 400, body: { title: 'For mange observasjoner i forespørselen' } };
+        const info = parameterInfo(parameter);
+        data.push({
+          stationId: station.stationId,
+          stationName: station.stationName,
+          parameter,
+          parameterName: info.parameterName,
+          parameterNameEng: info.parameterNameEng,
+          serieVersionNo: 1,
+          method: resolutionTime === 0 ? 'Instantaneous' : 'Mean',
+          unit: info.unit,
+          observationCount: values.length,
+          observations: values
+        });
+      }
+    }
+    return envelope(data);
+  },
+};
+
+// Resolved against a fixed base, since the Host header is up to the client.
+const parseUrl = (req) => {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch {
+    return null;
+  }
+};
+
+const server = http.createServer((req, res) => {
+  const url = parseUrl(req);
+  const started = Date.now();
+  res.on('finish', () => {
+    console.log(`${req.method} ${url ? `${url.pathname}${url.search}` : req.url} ${res.statusCode} ${Date.now() - started}ms`);
+  });
+
+  if (!url) {
+    send(res, 400, { title: 'Bad Request' });
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204, null);
+    return;
+  }
+
+  const route = url.pathname.startsWith(BASE_PATH) && routes[url.pathname.slice(BASE_PATH.length)];
+  if (!route) {
+    send(res, 404, { title: 'Not Found' });
+    return;
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    send(res, 401, { title: 'Unauthorized' });
+    return;
+  }
+  if (apiKey === 'forbidden') {
+    send(res, 403, { title: 'Forbidden' });
+    return;
+  }
+  const retryAfter = rateLimited(apiKey);
+  if (retryAfter) {
+    send(res, 429, { title: 'Too Many Requests' }, { 'Retry-After': String(retryAfter) });
+    return;
+  }
+
+  const result = route(url.searchParams);
+  if (result.status) {
+    send(res, result.status, result.body);
+    return;
+  }
+  send(res, 200, result);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock HydAPI listening on http://localhost:${PORT}${BASE_PATH}`);
+});
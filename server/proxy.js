@@ -0,0 +1,242 @@
+// HydAPI proxy that keeps the API key on the server. The browser talks only to
+// this server, which adds the key, caches responses and rate limits clients.
+//
+//   NVE_API_KEY=... npm run proxy
+//   VITE_NVE_PROXY_URL=http://localhost:8788/api npm run dev
+//
+// Only /Stations and /Observations are forwarded. Each client (by IP address)
+// may make RATE_LIMIT requests per RATE_WINDOW_MS, cache hits included.
+// Set TRUST_PROXY=1 when running behind a reverse proxy, so the client address
+// is taken from X-Forwarded-For.
+import http from 'node:http';
+
+const API_KEY = process.env.NVE_API_KEY;
+const UPSTREAM = (process.env.NVE_API_BASE_URL || 'https://hydapi.nve.no/api/v1').replace(/\/$/, '');
+const PORT = Number(process.env.PORT) || 8788;
+const BASE_PATH = '/api';
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+const RATE_LIMIT = Number(process.env.RATE_LIMIT) || 60;
+const RATE_WINDOW_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+const MAX_CACHE_BYTES = (Number(process.env.CACHE_MB) || 200) * 1024 * 1024;
+const MAX_ENTRY_BYTES = MAX_CACHE_BYTES / 20;
+const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 30 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Observations that reach into the last two days are still being updated and
+// corrected, so they expire quickly. Older data and the station list change
+// rarely.
+const RECENT_WINDOW_MS = 2 * DAY_MS;
+const TTL = {
+  stations: DAY_MS,
+  recent: 5 * MINUTE_MS,
+  stable: DAY_MS,
+};
+
+const ROUTES = {
+  '/Stations': () => TTL.stations,
+  '/Observations': (query) => {
+    const to = (query.get('ReferenceTime') || '').split('/')[1];
+    const end = to ? Date.parse(to) : Date.now();
+    return Number.isNaN(end) || Date.now() - end < RECENT_WINDOW_MS ? TTL.recent : TTL.stable;
+  },
+};
+
+if (!API_KEY) {
+  console.error('NVE_API_KEY is not set. Get a key at https://hydapi.nve.no and start the proxy with NVE_API_KEY=...');
+  process.exit(1);
+}
+
+// Responses are kept as the raw upstream body, keyed by path and sorted
+// query. Map keeps insertion order, so the oldest entry is evicted first.
+// Years of observations make bodies of several megabytes, so the cache is
+// bounded by size as well as by count, and a single body may take at most a
+// twentieth of it.
+const cache = new Map();
+const inFlight = new Map();
+let cacheBytes = 0;
+
+const cacheDelete = (key) => {
+  const entry = cache.get(key);
+  if (!entry) return;
+  cacheBytes -= entry.bytes;
+  cache.delete(key);
+};
+
+const cacheGet = (key) => {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expires < Date.now()) {
+    cacheDelete(key);
+    return null;
+  }
+  return entry;
+};
+
+const cacheSet = (key, entry) => {
+  const bytes = Buffer.byteLength(entry.body);
+  if (bytes > MAX_ENTRY_BYTES) return;
+  cacheDelete(key);
+  cache.set(key, { ...entry, bytes });
+  cacheBytes += bytes;
+  while (cache.size > MAX_CACHE_ENTRIES || cacheBytes > MAX_CACHE_BYTES) {
+    cacheDelete(cache.keys().next().value);
+  }
+};
+
+const rateLimits = new Map();
+
+// Sliding window per client. Returns the seconds to wait, or 0 when allowed.
+const rateLimited = (client) => {
+  const now = Date.now();
+  const hits = (rateLimits.get(client) || []).filter(t => now - t < RATE_WINDOW_MS);
+  if (hits.length >= RATE_LIMIT) {
+    rateLimits.set(client, hits);
+    return Math.ceil((RATE_WINDOW_MS - (now - hits[0])) / 1000);
+  }
+  hits.push(now);
+  rateLimits.set(client, hits);
+  return 0;
+};
+
+// Forget idle clients now and then so the table does not grow forever.
+setInterval(() => {
+  const now = Date.now();
+  rateLimits.forEach((hits, client) => {
+    if (!hits.length || now - hits[hits.length - 1] > RATE_WINDOW_MS) rateLimits.delete(client);
+  });
+}, RATE_WINDOW_MS).unref();
+
+const clientAddress = (req) => {
+  if (TRUST_PROXY && req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+};
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Headers': 'Accept',
+    'Access-Control-Expose-Headers': 'Retry-After, X-Cache',
+    ...headers
+  });
+  res.end(body === null ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+// Identical requests that arrive while one is already on its way upstream
+// share its response instead of each spending a call against the key.
+const fetchUpstream = (key, path, query, ttl) => {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const request = (async () => {
+    // A stalled upstream would otherwise hold the in-flight entry, and every
+    // identical request waiting on it, forever. The timeout covers the body.
+    const response = await fetch(`${UPSTREAM}${path}${query.size ? `?${query}` : ''}`, {
+      headers: { 'Accept': 'application/json', 'X-API-Key': API_KEY },
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+    });
+    const entry = {
+      status: response.status,
+      body: await response.text(),
+      retryAfter: response.headers.get('Retry-After'),
+      expires: Date.now() + ttl
+    };
+    if (response.ok) cacheSet(key, entry);
+    return entry;
+  })();
+
+  inFlight.set(key, request);
+  request.finally(() => inFlight.delete(key)).catch(() => {});
+  return request;
+};
+
+// Only the path and query are used, so the URL is resolved against a fixed
+// base: the Host header is up to the client. A target that still does not
+// parse gives null.
+const parseUrl = (req) => {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch {
+    return null;
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = parseUrl(req);
+  const client = clientAddress(req);
+  const started = Date.now();
+  let cacheStatus = '-';
+  res.on('finish', () => {
+    const target = url ? `${url.pathname}${url.search}` : req.url;
+    console.log(`${new Date().toISOString()} ${client} ${req.method} ${target} ${res.statusCode} ${cacheStatus} ${Date.now() - started}ms`);
+  });
+
+  if (!url) {
+    send(res, 400, { title: 'Ugyldig forespørsel' });
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204, null, { 'Access-Control-Allow-Methods': 'GET, OPTIONS' });
+    return;
+  }
+  if (req.method !== 'GET') {
+    send(res, 405, { title: 'Kun GET er støttet' }, { 'Allow': 'GET, OPTIONS' });
+    return;
+  }
+
+  const path = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) : null;
+  const route = path && ROUTES[path];
+  if (!route) {
+    send(res, 404, { title: 'Ukjent endepunkt' });
+    return;
+  }
+
+  const wait = rateLimited(client);
+  if (wait) {
+    send(res, 429, { title: 'For mange forespørsler' }, { 'Retry-After': String(wait) });
+    return;
+  }
+
+  const query = new URLSearchParams([...url.searchParams].sort(([a], [b]) => a.localeCompare(b)));
+  const key = `${path}?${query}`;
+
+  const cached = cacheGet(key);
+  if (cached) {
+    cacheStatus = 'HIT';
+    send(res, cached.status, cached.body, { 'X-Cache': 'HIT' });
+    return;
+  }
+
+  cacheStatus = 'MISS';
+  try {
+    const entry = await fetchUpstream(key, path, query, route(query));
+    // A rejected key is the proxy's problem, not the client's. Report it as a
+    // bad gateway so the browser does not ask the user for a key.
+    if (entry.status === 401 || entry.status === 403) {
+      console.error(`Upstream rejected the API key (${entry.status})`);
+      send(res, 502, { title: 'Proxyen har ikke gyldig tilgang til NVE' });
+      return;
+    }
+    send(res, entry.status, entry.body, {
+      'X-Cache': 'MISS',
+      ...(entry.retryAfter ? { 'Retry-After': entry.retryAfter } : {})
+    });
+  } catch (err) {
+    console.error(`Upstream request failed: ${err.message}`);
+    if (err.name === 'TimeoutError') {
+      send(res, 504, { title: 'NVE svarte ikke i tide' });
+    } else {
+      send(res, 502, { title: 'Får ikke kontakt med NVE' });
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`HydAPI proxy listening on http://localhost:${PORT}${BASE_PATH}, forwarding to ${UPSTREAM}`);
+});
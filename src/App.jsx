@@ -1,169 +1,610 @@
-import React, { useState, useEffect } from 'react';
-import { Search, Download, TrendingUp, Calendar, Droplets, RefreshCw } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { Search, Download, TrendingUp, Calendar, Droplets, RefreshCw, Pin, X, Bell, WifiOff, BarChart3, AlertCircle, Link, Check, Activity } from 'lucide-react';
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceArea, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { seriesColor, seriesKey, uncontrolledKey, buildChartRows } from './lib/series';
+import { hasValue } from './lib/quality';
+import { fetchStationsCached, fetchObservationsCached, pruneCache, clearCache } from './lib/cache';
+import { AuthError, PROXY_MODE, hasCredentials, isAbortError } from './lib/hydapi';
+import { dayOfYear, computeDayOfYearPercentiles, classifyValue } from './lib/climatology';
+import { stationInArea } from './lib/geo';
+import { PARAMETERS, drawsAsBars } from './lib/parameters';
+import { searchStations } from './lib/search';
+import { EMPTY_FILTERS, matchesFilters, stationParameters } from './lib/stationFilters';
+import StationMap from './components/StationMap';
+import Watchlist from './components/Watchlist';
+import ExportDialog from './components/ExportDialog';
+import StationFilters from './components/StationFilters';
+import AnalysisPanel from './components/AnalysisPanel';
+import ParameterPanel from './components/ParameterPanel';
+import RawDataTable from './components/RawDataTable';
+import RatingCurvePanel from './components/RatingCurvePanel';
+import ChartNavigator from './components/ChartNavigator';
+import Crosshair from './components/Crosshair';
+import Annotations from './components/Annotations';
+import ChartExport from './components/ChartExport';
+import RunoffStats from './components/RunoffStats';
+import LocaleSwitcher from './components/LocaleSwitcher';
+import { useWatchlist } from './hooks/useWatchlist';
+import { useViewHistory } from './hooks/useViewHistory';
+import { useChartData } from './hooks/useChartData';
+import { useMergedRows } from './hooks/useMergedRows';
+import { useStageDischarge, STAGE, DISCHARGE } from './hooks/useStageDischarge';
+import { useAnnotations } from './hooks/useAnnotations';
+import { useI18n } from './hooks/useI18n';
+import { runTask } from './lib/seriesWorker';
+import { DISCHARGE_PARAMETER, drainageArea, hasRunoff } from './lib/runoff';
+import { parseViewState } from './lib/urlState';
+import { RESOLUTIONS, AGGREGATIONS, getResolution, defaultResolution, defaultAggregation, fetchPlan } from './lib/resample';
 
-const API_BASE_URL = 'https://hydapi.nve.no/api/v1';
+const PERCENTILE_TONES = {
+  drought: 'from-orange-50 to-orange-100 border-orange-200 text-orange-700',
+  dry: 'from-yellow-50 to-yellow-100 border-yellow-200 text-yellow-700',
+  normal: 'from-gray-50 to-gray-100 border-gray-200 text-gray-700',
+  wet: 'from-sky-50 to-sky-100 border-sky-200 text-sky-700',
+  flood: 'from-indigo-50 to-indigo-100 border-indigo-200 text-indigo-700',
+};
+
+// Start of the daily record for a parameter, from the /Stations series list.
+const historyStart = (station, parameter) => {
+  const series = station?.seriesList?.find(s => String(s.parameter) === parameter);
+  const daily = series?.resolutionList?.find(r => String(r.resTime) === '1440');
+  return daily?.dataFromTime?.split('T')[0] || '1900-01-01';
+};
+
+const resolutionRank = (id) => RESOLUTIONS.findIndex(r => r.id === id);
+
+// Parameters to fetch for a station: the main one always, so a station
+// without it gets a message saying so, and the extra ones only where the
+// station has a series for them.
+const viewParameters = (station, view) => {
+  const available = stationParameters(station);
+  return [
+    view.parameter,
+    ...view.extraParameters.filter(id => !available || available.includes(id))
+  ];
+};
 
 function App() {
+  const i18n = useI18n();
+  const { t, formatNumber, formatTimestamp } = i18n;
+  const [initialView] = useState(() => parseViewState(window.location.search));
   const [apiKey, setApiKey] = useState(import.meta.env.VITE_NVE_API_KEY || '');
   const [stations, setStations] = useState([]);
   const [filteredStations, setFilteredStations] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
-  const [selectedStation, setSelectedStation] = useState(null);
-  const [stationData, setStationData] = useState(null);
+  const [stationFilters, setStationFilters] = useState(EMPTY_FILTERS);
+  const [mapArea, setMapArea] = useState(null);
+  const [pinnedStations, setPinnedStations] = useState([]);
+  const [seriesList, setSeriesList] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
-  const [parameter, setParameter] = useState('1001');
-  const [showApiKeyInput, setShowApiKeyInput] = useState(!import.meta.env.VITE_NVE_API_KEY);
+  const [offline, setOffline] = useState(false);
+  const [error, setError] = useState(null);
+  const [startDate, setStartDate] = useState(initialView.from);
+  const [endDate, setEndDate] = useState(initialView.to);
+  const [parameter, setParameter] = useState(initialView.parameter);
+  const [extraParameters, setExtraParameters] = useState(initialView.extraParameters);
+  const [resolution, setResolution] = useState(initialView.resolution);
+  const [aggregation, setAggregation] = useState(initialView.aggregation);
+  const [showPercentiles, setShowPercentiles] = useState(initialView.percentiles);
+  const [approvedOnly, setApprovedOnly] = useState(initialView.approvedOnly);
+  const [showExport, setShowExport] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [climatology, setClimatology] = useState(null);
+  const [chartTab, setChartTab] = useState('series');
+  const [zoom, setZoom] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [annotationDraft, setAnnotationDraft] = useState(null);
+  const [showApiKeyInput, setShowApiKeyInput] = useState(!PROXY_MODE && !import.meta.env.VITE_NVE_API_KEY);
+  const [catalogueRequest, setCatalogueRequest] = useState(showApiKeyInput ? null : { apiKey });
+  const watchlist = useWatchlist(showApiKeyInput ? null : apiKey, i18n);
+  const { annotations, addAnnotation, removeAnnotation } = useAnnotations();
+  const seriesRequests = useRef(new Map());
+  const chartRef = useRef(null);
+  // Stations named in the URL can only be pinned once the catalogue is loaded.
+  const pendingStationIds = useRef(initialView.stations);
+
+  const currentView = useCallback((changes = {}) => ({
+    stations: pinnedStations.map(s => s.stationId),
+    parameter,
+    extraParameters,
+    from: startDate,
+    to: endDate,
+    resolution,
+    aggregation,
+    percentiles: showPercentiles,
+    approvedOnly,
+    ...changes
+  }), [pinnedStations, parameter, extraParameters, startDate, endDate, resolution, aggregation, showPercentiles, approvedOnly]);
+
+  const navigate = useViewHistory((view) => {
+    setParameter(view.parameter);
+    setExtraParameters(view.extraParameters);
+    setStartDate(view.from);
+    setEndDate(view.to);
+    setResolution(view.resolution);
+    setAggregation(view.aggregation);
+    setShowPercentiles(view.percentiles);
+    setApprovedOnly(view.approvedOnly);
+
+    if (!stations.length) {
+      pendingStationIds.current = view.stations;
+      return;
+    }
+    pinFromView(view, stations);
+  });
 
   useEffect(() => {
-    const today = new Date();
-    const weekAgo = new Date(today);
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    
-    setEndDate(today.toISOString().split('T')[0]);
-    setStartDate(weekAgo.toISOString().split('T')[0]);
-  }, []);
-
-  const fetchStations = async () => {
-    if (!apiKey) return;
-    
+    let filtered = stations.filter(s => matchesFilters(s, stationFilters));
+
+    if (mapArea) {
+      filtered = filtered.filter(s => stationInArea(s, mapArea));
+    }
+
+    setFilteredStations(searchStations(filtered, searchTerm));
+  }, [searchTerm, stationFilters, mapArea, stations]);
+
+  const effectiveResolution = resolution === 'auto' ? defaultResolution(startDate, endDate) : resolution;
+
+  const fetchSeries = useCallback(async (station, parameterId, view, signal) => {
+    const viewResolution = view.resolution === 'auto' ? defaultResolution(view.from, view.to) : view.resolution;
+    // The aggregation picked in the settings applies to the main parameter;
+    // extra parameters use their natural one, e.g. sums for precipitation.
+    const method = parameterId === view.parameter ? view.aggregation : defaultAggregation(parameterId);
+    const plan = fetchPlan(viewResolution, method);
+    const data = await fetchObservationsCached(apiKey, {
+      stationId: station.stationId,
+      parameter: parameterId,
+      resolutionTime: plan.resolutionTime,
+      from: view.from,
+      to: view.to
+    }, { signal });
+    if (!data) return null;
+
+    return {
+      stationId: station.stationId,
+      stationName: data.stationName || station.stationName,
+      parameter: data.parameterName,
+      parameterId,
+      unit: data.unit,
+      resolution: viewResolution,
+      aggregation: plan.method,
+      offline: data.offline,
+      observations: await runTask('resample', { observations: data.observations || [], bucket: plan.bucket, method: plan.method })
+    };
+  }, [apiKey]);
+
+  // A new request for a station cancels the one still in flight for it, so a
+  // slow response for old settings can never overwrite a newer one.
+  const fetchStationData = useCallback(async (stationsToFetch, view) => {
+    if (!hasCredentials(apiKey) || !view.from || !view.to || !stationsToFetch.length) return;
+
     setLoading(true);
-    try {
-      const response = await fetch(`${API_BASE_URL}/Stations`, {
-        headers: {
-          'Accept': 'application/json',
-          'X-API-Key': apiKey
+    setError(null);
+    setZoom(null);
+
+    const requests = stationsToFetch.map(station => {
+      seriesRequests.current.get(station.stationId)?.abort();
+      const controller = new AbortController();
+      seriesRequests.current.set(station.stationId, controller);
+      return {
+        station,
+        controller,
+        parameters: viewParameters(station, view)
+      };
+    });
+
+    const results = await Promise.all(requests.map(({ station, controller, parameters }) => (
+      Promise.allSettled(parameters.map(id => fetchSeries(station, id, view, controller.signal)))
+    )));
+
+    const fetchedIds = new Set();
+    const fetched = [];
+    const failures = [];
+
+    requests.forEach(({ station, controller, parameters }, i) => {
+      if (seriesRequests.current.get(station.stationId) === controller) {
+        seriesRequests.current.delete(station.stationId);
+      }
+      if (controller.signal.aborted) return;
+
+      fetchedIds.add(station.stationId);
+      results[i].forEach((result, j) => {
+        if (result.status === 'fulfilled') {
+          if (result.value) {
+            fetched.push(result.value);
+          } else {
+            failures.push({ station, parameterId: parameters[j], error: null });
+          }
+        } else if (!isAbortError(result.reason)) {
+          failures.push({ station, parameterId: parameters[j], error: result.reason });
         }
       });
-      const data = await response.json();
-      setStations(data.data || []);
-      setFilteredStations(data.data || []);
-      setShowApiKeyInput(false);
-    } catch (error) {
-      alert('Error fetching stations: ' + error.message);
+    });
+
+    setOffline(fetched.some(s => s.offline));
+    setSeriesList(prev => [
+      ...prev.filter(s => !fetchedIds.has(s.stationId)),
+      ...fetched
+    ]);
+    if (failures.length) {
+      const multiple = view.extraParameters.length > 0;
+      setError({
+        message: failures.map(({ station, parameterId, error: err }) => (
+          err
+            ? `${station.stationName}${multiple ? ` (${i18n.parameterLabel(parameterId)})` : ''}: ${i18n.errorMessage(err)}`
+            : `${station.stationName}: ${i18n.t('error.noData', { parameter: i18n.parameterLabel(parameterId) })}`
+        )).join('\n'),
+        auth: failures.some(({ error: err }) => err instanceof AuthError)
+      });
     }
     setLoading(false);
-  };
+  }, [apiKey, fetchSeries, i18n]);
+
+  const pinFromView = useCallback((view, catalogue) => {
+    const next = view.stations.map(id => catalogue.find(s => s.stationId === id)).filter(Boolean);
+    seriesRequests.current.forEach((controller, stationId) => {
+      if (!view.stations.includes(stationId)) controller.abort();
+    });
+    setPinnedStations(next);
+    setSeriesList(prev => prev.filter(s => view.stations.includes(s.stationId)));
+    fetchStationData(next, view);
+  }, [fetchStationData]);
 
+  // The station catalogue loads when a key is submitted, or at once when there
+  // is no key screen (key from the environment or behind the proxy), and then
+  // pins the stations of the view in the URL. The request is cleared when it
+  // is done, so later changes to what the effect uses do not load it again.
   useEffect(() => {
-    if (!searchTerm) {
-      setFilteredStations(stations);
+    if (!catalogueRequest || !hasCredentials(catalogueRequest.apiKey)) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchStationsCached(catalogueRequest.apiKey)
+      .then(({ stations: data, offline: stationsOffline }) => {
+        if (cancelled) return;
+        setCatalogueRequest(null);
+        setStations(data);
+        setFilteredStations(data);
+        setOffline(stationsOffline);
+        setShowApiKeyInput(false);
+        setLoading(false);
+        pruneCache();
+
+        const pending = pendingStationIds.current;
+        const view = currentView(pending.length ? { stations: pending } : {});
+        pendingStationIds.current = [];
+        pinFromView(view, data);
+        navigate(view, { replace: true });
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setCatalogueRequest(null);
+        setError({ message: i18n.errorMessage(err), auth: err instanceof AuthError });
+        setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [catalogueRequest, currentView, pinFromView, navigate, i18n]);
+
+  const connect = () => setCatalogueRequest({ apiKey });
+
+  const togglePinned = (station) => {
+    if (pinnedStations.some(s => s.stationId === station.stationId)) {
+      unpinStation(station.stationId);
       return;
     }
-    
-    const term = searchTerm.toLowerCase();
-    const filtered = stations.filter(s => 
-      s.stationName?.toLowerCase().includes(term) ||
-      s.riverName?.toLowerCase().includes(term) ||
-      s.stationId?.includes(term)
-    );
-    setFilteredStations(filtered);
-  }, [searchTerm, stations]);
 
-  const fetchStationData = async (stationId) => {
-    if (!apiKey || !startDate || !endDate) return;
-    
-    setLoading(true);
-    setStationData(null);
-    
+    const next = [...pinnedStations, station];
+    const changes = { stations: next.map(s => s.stationId) };
+
+    // The first station decides the parameter: if it does not measure the
+    // current one, switch to something it has instead of fetching nothing.
+    const available = stationParameters(station);
+    if (!pinnedStations.length && available?.length && !available.includes(parameter)) {
+      const fallback = PARAMETERS.find(p => available.includes(p.id))?.id || available[0];
+      changes.parameter = fallback;
+      changes.aggregation = defaultAggregation(fallback);
+      changes.extraParameters = extraParameters.filter(id => id !== fallback);
+      setParameter(fallback);
+      setAggregation(changes.aggregation);
+      setExtraParameters(changes.extraParameters);
+    }
+
+    const view = currentView(changes);
+    setPinnedStations(next);
+    navigate(view);
+    fetchStationData([station], view);
+  };
+
+  const copyLink = async () => {
     try {
-      const params = new URLSearchParams({
-        StationId: stationId,
-        Parameter: parameter,
-        ResolutionTime: '0',
-        ReferenceTime: `${startDate}/${endDate}`
-      });
-      
-      const response = await fetch(`${API_BASE_URL}/Observations?${params}`, {
-        headers: {
-          'Accept': 'application/json',
-          'X-API-Key': apiKey
-        }
-      });
-      
-      const result = await response.json();
-      
-      if (result.data && result.data[0]) {
-        const data = result.data[0];
-        setStationData({
-          stationId: data.stationId,
-          stationName: data.stationName,
-          parameter: data.parameterName,
-          unit: data.unit,
-          observations: data.observations || []
-        });
-      }
-    } catch (error) {
-      alert('Error fetching station data: ' + error.message);
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt(t('share.prompt'), window.location.href);
     }
-    setLoading(false);
   };
 
-  const downloadCSV = () => {
-    if (!stationData || !stationData.observations.length) return;
-    
-    const headers = ['Time', `Value (${stationData.unit})`];
-    const rows = stationData.observations.map(obs => 
-      [obs.time, obs.value].join(',')
-    );
-    
-    const csv = [headers.join(','), ...rows].join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${stationData.stationId}_${startDate}_${endDate}.csv`;
-    a.click();
+  const reloadView = () => {
+    navigate(currentView());
+    fetchStationData(pinnedStations, currentView());
+  };
+
+  const openStation = (stationId) => {
+    const station = stations.find(s => s.stationId === stationId);
+    if (station && pinnedIndex(stationId) === -1) togglePinned(station);
+  };
+
+  const unpinStation = (stationId) => {
+    seriesRequests.current.get(stationId)?.abort();
+    const next = pinnedStations.filter(s => s.stationId !== stationId);
+    setPinnedStations(next);
+    navigate(currentView({ stations: next.map(s => s.stationId) }));
+    setSeriesList(prev => prev.filter(s => s.stationId !== stationId));
+  };
+
+  // Parameters the pinned stations have series for. Stations without a series
+  // list give no information, so then everything is offered.
+  const parameterOptions = (() => {
+    const lists = pinnedStations.map(stationParameters);
+    if (!lists.length || lists.some(list => !list)) return PARAMETERS;
+    const available = new Set(lists.flat());
+    return PARAMETERS.filter(p => available.has(p.id) || p.id === parameter);
+  })();
+
+  const pinnedIndex = (stationId) => pinnedStations.findIndex(s => s.stationId === stationId);
+
+  // Series are kept in pin order so colours stay stable while fetches resolve.
+  // Within a station they keep the order they were fetched in, main parameter
+  // first, and a station has the same colour in every panel. Parameter names
+  // are shown in the chosen language rather than the API's Norwegian.
+  const { parameterName } = i18n;
+  const orderedSeries = useMemo(() => pinnedStations.flatMap((station, index) => seriesList
+    .filter(s => s.stationId === station.stationId)
+    .map(series => ({
+      ...series,
+      parameter: parameterName(series.parameterId, series.parameter),
+      key: seriesKey(series.stationId, series.parameterId),
+      color: seriesColor(index),
+      drainageArea: drainageArea(station)
+    }))), [pinnedStations, seriesList, parameterName]);
+
+  const mergedRows = useMergedRows(orderedSeries);
+  const primarySeries = orderedSeries[0];
+  const mainSeries = orderedSeries.filter(s => s.parameterId === primarySeries?.parameterId);
+  const multiParameter = mainSeries.length < orderedSeries.length;
+
+  // Zooming in on a range that the automatic resolution would show finer than
+  // what was fetched loads that range again in more detail.
+  useEffect(() => {
+    if (!zoom) return;
+    const resolutionId = defaultResolution(zoom[0], zoom[1]);
+    const targets = orderedSeries.filter(s => resolutionRank(resolutionId) < resolutionRank(s.resolution));
+    if (!targets.length) return;
+
+    const controller = new AbortController();
+    const day = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+    Promise.all(targets.map(async series => {
+      const plan = fetchPlan(resolutionId, series.aggregation || defaultAggregation(series.parameterId));
+      const data = await fetchObservationsCached(apiKey, {
+        stationId: series.stationId,
+        parameter: series.parameterId,
+        resolutionTime: plan.resolutionTime,
+        from: day(zoom[0]),
+        to: day(zoom[1] + 24 * 60 * 60 * 1000)
+      }, { signal: controller.signal });
+      const observations = await runTask('resample', { observations: data?.observations || [], bucket: plan.bucket, method: plan.method });
+      return [series.key, observations];
+    }).map(request => request.catch(() => null)))
+      .then(results => {
+        if (controller.signal.aborted) return;
+        setDetail({ zoom, resolution: resolutionId, series: Object.fromEntries(results.filter(Boolean)) });
+      });
+
+    return () => controller.abort();
+  }, [apiKey, zoom, orderedSeries]);
+
+  const zoomDetail = zoom && detail?.zoom === zoom ? detail : null;
+  const displaySeries = useMemo(() => orderedSeries.map(series => (
+    zoomDetail?.series[series.key]
+      ? { ...series, observations: zoomDetail.series[series.key], overviewObservations: series.observations, resolution: zoomDetail.resolution }
+      : series
+  )), [orderedSeries, zoomDetail]);
+
+  // Stats and downsampling run in the series worker; the chart only ever
+  // draws the downsampled copy.
+  const chartData = useChartData(displaySeries, { approvedOnly, domain: zoom });
+  const chartSeries = chartData
+    ? displaySeries.map(series => ({ ...series, observations: chartData.get(series.key)?.observations || [] }))
+    : [];
+  const mainChartSeries = chartSeries.filter(s => s.parameterId === primarySeries?.parameterId);
+
+  // Extra parameters get a panel each, in the order they first appear.
+  const panels = [...new Set(chartSeries.map(s => s.parameterId))]
+    .slice(1)
+    .map(id => chartSeries.filter(s => s.parameterId === id));
+
+  // When no series has observations (a closed station, or a period without
+  // data), the period asked for stands in so the charts and labels still have
+  // a range.
+  const observedDomain = orderedSeries.reduce(([min, max], series) => {
+    if (!series.observations.length) return [min, max];
+    return [
+      Math.min(min, Date.parse(series.observations[0].time)),
+      Math.max(max, Date.parse(series.observations[series.observations.length - 1].time))
+    ];
+  }, [Infinity, -Infinity]);
+  const timeDomain = zoom
+    || (observedDomain[0] <= observedDomain[1] ? observedDomain : [Date.parse(startDate), Date.parse(endDate)]);
+
+  // A drag zooms in; a plain click starts an annotation at that time.
+  const applySelection = () => {
+    if (selection && selection.from !== selection.to) {
+      setZoom([Math.min(selection.from, selection.to), Math.max(selection.from, selection.to)]);
+    } else if (selection) {
+      setAnnotationDraft(selection.from);
+    }
+    setSelection(null);
   };
 
-  const chartData = stationData?.observations.map(obs => ({
-    time: new Date(obs.time).toLocaleDateString('no-NO', { 
-      day: '2-digit', 
-      month: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit'
-    }),
-    value: obs.value
-  })) || [];
-
-  const stats = stationData ? {
-    count: stationData.observations.length,
-    min: Math.min(...stationData.observations.map(o => o.value || 0)),
-    max: Math.max(...stationData.observations.map(o => o.value || 0)),
-    avg: stationData.observations.reduce((sum, o) => sum + (o.value || 0), 0) / stationData.observations.length
-  } : null;
+  // The navigator under the charts always shows the whole period, drawn from
+  // the coarse copy of the main series the worker makes next to the chart's.
+  const primaryParameterId = primarySeries?.parameterId;
+  const overview = useMemo(() => {
+    const series = orderedSeries.filter(s => s.parameterId === primaryParameterId);
+    const rows = chartData
+      ? buildChartRows(series.map(s => ({ ...s, observations: chartData.get(s.key)?.overview || [] })))
+      : [];
+    return { series, rows };
+  }, [orderedSeries, primaryParameterId, chartData]);
+
+  // Annotations of the stations in the main chart that fall inside the range
+  // shown, with each station's colour.
+  const visibleAnnotations = mainSeries
+    .flatMap(series => (annotations[series.stationId] || []).map(annotation => ({
+      ...annotation,
+      stationId: series.stationId,
+      stationName: series.stationName,
+      color: series.color,
+      timestamp: Date.parse(annotation.time)
+    })))
+    .filter(a => a.timestamp >= timeDomain[0] && a.timestamp <= timeDomain[1])
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const zoomLoading = zoom && !zoomDetail
+    && orderedSeries.some(s => resolutionRank(defaultResolution(zoom[0], zoom[1])) < resolutionRank(s.resolution));
+
+  const climatologyKey = primarySeries ? `${primarySeries.stationId}|${primarySeries.parameterId}` : null;
+  const climatologyBands = showPercentiles && climatology?.key === climatologyKey ? climatology.bands : null;
+
+  // The daily record of the primary series feeds both the percentile bands and
+  // the analysis tab, so it is fetched when either of them is shown.
+  const needsHistory = showPercentiles || chartTab === 'analysis';
+  const history = climatology?.key === climatologyKey ? climatology.observations : null;
+
+  useEffect(() => {
+    if (!climatologyKey || !needsHistory || climatology?.key === climatologyKey) return;
+
+    const controller = new AbortController();
+    const [stationId, parameterId] = climatologyKey.split('|');
+    const station = pinnedStations.find(s => s.stationId === stationId);
+    const today = new Date().toISOString().split('T')[0];
+
+    fetchObservationsCached(apiKey, {
+      stationId,
+      parameter: parameterId,
+      resolutionTime: '1440',
+      from: historyStart(station, parameterId),
+      to: today
+    }, { signal: controller.signal })
+      .then(data => {
+        if (controller.signal.aborted) return;
+        const observations = data?.observations || [];
+        const bands = computeDayOfYearPercentiles(observations);
+        setClimatology({
+          key: climatologyKey,
+          bands: bands.some(Boolean) ? bands : null,
+          observations: observations.length ? observations : null
+        });
+      })
+      .catch(err => {
+        if (!isAbortError(err)) setClimatology({ key: climatologyKey, bands: null, observations: null });
+      });
+
+    return () => controller.abort();
+  }, [apiKey, climatologyKey, needsHistory, climatology?.key, pinnedStations]);
+
+  // The rating curve tab pairs water level with discharge for the primary
+  // station, at the resolution the main series was loaded at.
+  const primaryStation = pinnedStations.find(s => s.stationId === primarySeries?.stationId);
+  const primaryParameters = primaryStation && stationParameters(primaryStation);
+  const ratingAvailable = !primaryParameters || (primaryParameters.includes(STAGE) && primaryParameters.includes(DISCHARGE));
+  const stageDischarge = useStageDischarge(apiKey, chartTab === 'rating' && ratingAvailable && primarySeries
+    ? {
+        stationId: primarySeries.stationId,
+        from: startDate,
+        to: endDate,
+        resolutionTime: fetchPlan(primarySeries.resolution, 'mean').resolutionTime
+      }
+    : {});
+
+  const seriesRows = buildChartRows(mainChartSeries);
+  const chartRows = climatologyBands
+    ? seriesRows.map(row => {
+        const bands = climatologyBands[dayOfYear(row.timestamp)];
+        if (!bands) return row;
+        return {
+          ...row,
+          bandRange: [bands.min, bands.max],
+          bandOuter: [bands.p10, bands.p90],
+          bandInner: [bands.p25, bands.p75],
+          bandMedian: bands.p50
+        };
+      })
+    : seriesRows;
+
+  const latestObservation = primarySeries?.observations.findLast(hasValue);
+  const latestClass = latestObservation && climatologyBands
+    ? classifyValue(latestObservation.value, climatologyBands[dayOfYear(latestObservation.time)])
+    : null;
+
+  const formatTick = i18n.tickFormatter(timeDomain);
+
+  const seriesStats = orderedSeries.map(series => ({
+    series,
+    stats: chartData?.get(series.key)?.stats || null,
+    runoff: chartData?.get(series.key)?.runoff || null
+  }));
+
+  const chartStationIds = [...new Set(orderedSeries.map(s => s.stationId))];
+  // Recharts draws its legend as HTML, so image exports get it passed in.
+  const chartLegend = orderedSeries.map(s => ({
+    label: chartStationIds.length > 1 && multiParameter
+      ? `${s.stationName}: ${s.parameter}`
+      : chartStationIds.length > 1 ? s.stationName : s.parameter,
+    color: s.color
+  }));
 
   if (showApiKeyInput) {
     return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-600 via-blue-700 to-blue-800 flex items-center justify-center p-4">
+      <div className="min-h-screen bg-gradient-to-br from-blue-600 via-blue-700 to-blue-800 flex flex-col items-center justify-center gap-4 p-4">
+        <LocaleSwitcher timeZone={false} className="text-white" />
         <div className="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full">
           <div className="flex items-center justify-center mb-6">
             <div className="bg-blue-100 p-4 rounded-full">
               <Droplets className="w-12 h-12 text-blue-600" />
             </div>
           </div>
-          <h1 className="text-3xl font-bold text-center mb-2 text-gray-800">NVE Vannføringsdata</h1>
-          <p className="text-center text-gray-600 mb-8">Søk og visualiser vannføringsdata fra norske målestasjoner</p>
+          <h1 className="text-3xl font-bold text-center mb-2 text-gray-800">{t('app.title')}</h1>
+          <p className="text-center text-gray-600 mb-8">{t('apiKey.intro')}</p>
           <div className="space-y-4">
             <div>
-              <label className="block text-sm font-semibold text-gray-700 mb-2">API Nøkkel</label>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">{t('apiKey.label')}</label>
               <input
                 type="password"
                 value={apiKey}
                 onChange={(e) => setApiKey(e.target.value)}
-                placeholder="Skriv inn din NVE API nøkkel"
+                placeholder={t('apiKey.placeholder')}
                 className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all outline-none"
-                onKeyPress={(e) => e.key === 'Enter' && fetchStations()}
+                onKeyPress={(e) => e.key === 'Enter' && connect()}
               />
             </div>
+            {error && (
+              <div className="flex items-start gap-2 bg-red-50 border-2 border-red-200 text-red-700 text-sm px-4 py-3 rounded-xl">
+                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                {error.message}
+              </div>
+            )}
             <button
-              onClick={fetchStations}
+              onClick={connect}
               disabled={!apiKey || loading}
               className="w-full bg-gradient-to-r from-blue-600 to-blue-700 text-white py-3 rounded-xl font-semibold hover:from-blue-700 hover:to-blue-800 disabled:from-gray-400 disabled:to-gray-400 disabled:cursor-not-allowed transition-all shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
             >
-              {loading ? 'Kobler til...' : 'Koble til'}
+              {loading ? t('apiKey.connecting') : t('apiKey.connect')}
             </button>
           </div>
         </div>
@@ -175,15 +616,24 @@ function App() {
     <div className="min-h-screen bg-gray-100">
       <header className="bg-gradient-to-r from-blue-600 to-blue-700 text-white shadow-xl">
         <div className="max-w-7xl mx-auto px-6 py-8">
-          <div className="flex items-center gap-3 mb-2">
-            <div className="bg-white/20 p-2 rounded-lg">
-              <Droplets className="w-8 h-8" />
-            </div>
-            <div>
-              <h1 className="text-3xl font-bold">NVE Vannføringsdata</h1>
-              <p className="text-blue-100 text-sm">Norges vassdrags- og energidirektorat</p>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-2">
+            <div className="flex items-center gap-3">
+              <div className="bg-white/20 p-2 rounded-lg">
+                <Droplets className="w-8 h-8" />
+              </div>
+              <div>
+                <h1 className="text-3xl font-bold">{t('app.title')}</h1>
+                <p className="text-blue-100 text-sm">{t('app.subtitle')}</p>
+              </div>
             </div>
+            <LocaleSwitcher />
           </div>
+          {offline && (
+            <div className="mt-4 flex items-center gap-2 bg-white/15 px-4 py-2 rounded-lg text-sm">
+              <WifiOff className="w-4 h-4" />
+              {t('app.offline')}
+            </div>
+          )}
         </div>
       </header>
 
@@ -195,7 +645,7 @@ function App() {
               <div className="bg-gradient-to-r from-blue-50 to-blue-100 p-4 border-b border-blue-200">
                 <h2 className="font-bold text-lg text-gray-800 flex items-center gap-2">
                   <Search className="w-5 h-5 text-blue-600" />
-                  Søk målestasjon
+                  {t('search.title')}
                 </h2>
               </div>
               <div className="p-4">
@@ -205,32 +655,44 @@ function App() {
                     type="text"
                     value={searchTerm}
                     onChange={(e) => setSearchTerm(e.target.value)}
-                    placeholder="Søk etter navn, elv eller ID..."
+                    placeholder={t('search.placeholder')}
                     className="w-full pl-10 pr-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all outline-none"
                   />
                 </div>
+                <StationFilters stations={stations} filters={stationFilters} onChange={setStationFilters} />
                 <div className="text-sm text-gray-600 mt-3 mb-2 font-medium">
-                  {filteredStations.length} stasjon{filteredStations.length !== 1 ? 'er' : ''} funnet
+                  {mapArea ? t('search.foundInArea', { count: filteredStations.length }) : t('search.found', { count: filteredStations.length })}
                 </div>
                 <div className="max-h-96 overflow-y-auto space-y-2 pr-1">
-                  {filteredStations.slice(0, 50).map(station => (
-                    <button
-                      key={station.stationId}
-                      onClick={() => {
-                        setSelectedStation(station);
-                        fetchStationData(station.stationId);
-                      }}
-                      className={`w-full text-left p-3 rounded-lg border-2 transition-all ${
-                        selectedStation?.stationId === station.stationId
-                          ? 'bg-blue-50 border-blue-500 shadow-md'
-                          : 'bg-white border-gray-200 hover:bg-gray-50 hover:border-gray-300 hover:shadow'
-                      }`}
-                    >
-                      <div className="font-semibold text-sm text-gray-800">{station.stationName}</div>
-                      <div className="text-xs text-gray-600 mt-1">{station.riverName}</div>
-                      <div className="text-xs text-gray-500 mt-1 font-mono">ID: {station.stationId}</div>
-                    </button>
-                  ))}
+                  {filteredStations.slice(0, 50).map(station => {
+                    const isPinned = pinnedIndex(station.stationId) !== -1;
+                    return (
+                      <button
+                        key={station.stationId}
+                        onClick={() => togglePinned(station)}
+                        className={`w-full text-left p-3 rounded-lg border-2 transition-all ${
+                          isPinned
+                            ? 'bg-blue-50 border-blue-500 shadow-md'
+                            : 'bg-white border-gray-200 hover:bg-gray-50 hover:border-gray-300 hover:shadow'
+                        }`}
+                      >
+                        <div className="flex justify-between items-start gap-2">
+                          <div className="font-semibold text-sm text-gray-800">{station.stationName}</div>
+                          {isPinned && (
+                            <Pin
+                              className="w-4 h-4 flex-shrink-0"
+                              style={{ color: seriesColor(pinnedIndex(station.stationId)) }}
+                            />
+                          )}
+                        </div>
+                        <div className="text-xs text-gray-600 mt-1">
+                          {station.riverName}
+                          {station.councilName && ` · ${station.councilName}`}
+                        </div>
+                        <div className="text-xs text-gray-500 mt-1 font-mono">ID: {station.stationId}</div>
+                      </button>
+                    );
+                  })}
                 </div>
               </div>
             </div>
@@ -239,27 +701,77 @@ function App() {
               <div className="bg-gradient-to-r from-green-50 to-green-100 p-4 border-b border-green-200">
                 <h2 className="font-bold text-lg text-gray-800 flex items-center gap-2">
                   <Calendar className="w-5 h-5 text-green-600" />
-                  Innstillinger
+                  {t('settings.title')}
                 </h2>
               </div>
               <div className="p-4 space-y-4">
                 <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-2">Parameter</label>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.parameter')}</label>
                   <select
                     value={parameter}
-                    onChange={(e) => setParameter(e.target.value)}
+                    onChange={(e) => {
+                      setParameter(e.target.value);
+                      setAggregation(defaultAggregation(e.target.value));
+                      setExtraParameters(prev => prev.filter(id => id !== e.target.value));
+                    }}
                     className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all outline-none"
                   >
-                    <option value="1001">Vannføring (m³/s)</option>
-                    <option value="1000">Vannstand (m)</option>
-                    <option value="1003">Vanntemperatur (°C)</option>
-                    <option value="17">Lufttemperatur (°C)</option>
-                    <option value="2001">Snødybde (cm)</option>
-                    <option value="3001">Nedbør (mm)</option>
+                    {parameterOptions.map(p => (
+                      <option key={p.id} value={p.id}>{i18n.parameterLabel(p.id)}</option>
+                    ))}
                   </select>
+                  {parameterOptions.length > 1 && (
+                    <div className="mt-3">
+                      <div className="text-xs font-semibold text-gray-600 mb-1">{t('settings.extraParameters')}</div>
+                      <div className="space-y-1">
+                        {parameterOptions.filter(p => p.id !== parameter).map(p => (
+                          <label key={p.id} className="flex items-center gap-2 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={extraParameters.includes(p.id)}
+                              onChange={(e) => setExtraParameters(prev => (e.target.checked
+                                ? [...prev, p.id]
+                                : prev.filter(id => id !== p.id)))}
+                              className="rounded"
+                            />
+                            {parameterName(p.id)}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
                 <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-2">Fra dato</label>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.resolution')}</label>
+                  <select
+                    value={resolution}
+                    onChange={(e) => setResolution(e.target.value)}
+                    className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all outline-none"
+                  >
+                    <option value="auto">
+                      {t('settings.resolution.auto', { resolution: t(`resolution.${defaultResolution(startDate, endDate)}`).toLowerCase() })}
+                    </option>
+                    {RESOLUTIONS.map(r => (
+                      <option key={r.id} value={r.id}>{t(`resolution.${r.id}`)}</option>
+                    ))}
+                  </select>
+                </div>
+                {effectiveResolution !== 'instant' && (
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.aggregation')}</label>
+                    <select
+                      value={aggregation}
+                      onChange={(e) => setAggregation(e.target.value)}
+                      className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all outline-none"
+                    >
+                      {AGGREGATIONS.map(a => (
+                        <option key={a.id} value={a.id}>{t(`aggregation.${a.id}`)}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.from')}</label>
                   <input
                     type="date"
                     value={startDate}
@@ -268,7 +780,7 @@ function App() {
                   />
                 </div>
                 <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-2">Til dato</label>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.to')}</label>
                   <input
                     type="date"
                     value={endDate}
@@ -276,159 +788,471 @@ function App() {
                     className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all outline-none"
                   />
                 </div>
-                {selectedStation && (
+                {pinnedStations.length > 0 && (
                   <button
-                    onClick={() => fetchStationData(selectedStation.stationId)}
+                    onClick={reloadView}
                     disabled={loading}
                     className="w-full bg-gradient-to-r from-green-600 to-green-700 text-white py-3 rounded-lg font-semibold hover:from-green-700 hover:to-green-800 disabled:from-gray-400 disabled:to-gray-400 transition-all shadow-lg hover:shadow-xl flex items-center justify-center gap-2"
                   >
                     <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
-                    {loading ? 'Laster...' : 'Hent data'}
+                    {loading ? t('settings.loading') : t('settings.fetch')}
                   </button>
                 )}
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={approvedOnly}
+                    onChange={(e) => {
+                      setApprovedOnly(e.target.checked);
+                      navigate(currentView({ approvedOnly: e.target.checked }), { replace: true });
+                    }}
+                    className="rounded"
+                  />
+                  {t('settings.approvedOnly')}
+                </label>
+                <button
+                  onClick={clearCache}
+                  className="w-full text-xs text-gray-500 hover:text-red-600 transition-colors"
+                >
+                  {t('settings.clearCache')}
+                </button>
               </div>
             </div>
           </div>
 
           <div className="lg:col-span-3 space-y-6">
-            {!selectedStation && (
+            {error && (
+              <div className="flex items-start gap-3 bg-red-50 border-2 border-red-200 text-red-700 px-5 py-4 rounded-xl">
+                <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                <div className="flex-1 text-sm whitespace-pre-line">
+                  {error.message}
+                  {error.auth && (
+                    <button
+                      onClick={() => setShowApiKeyInput(true)}
+                      className="block mt-2 font-semibold underline hover:text-red-900"
+                    >
+                      {t('error.changeApiKey')}
+                    </button>
+                  )}
+                </div>
+                <button onClick={() => setError(null)} className="text-red-400 hover:text-red-700" title={t('common.close')}>
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
+            <Watchlist watchlist={watchlist} onOpenStation={openStation} />
+
+            <StationMap
+              stations={stations}
+              visibleStations={filteredStations}
+              colorFor={(stationId) => {
+                const index = pinnedIndex(stationId);
+                return index === -1 ? null : seriesColor(index);
+              }}
+              onSelect={togglePinned}
+              area={mapArea}
+              onAreaChange={setMapArea}
+            />
+
+            {!pinnedStations.length && (
               <div className="bg-white rounded-xl shadow-md p-16 text-center">
                 <div className="bg-gray-100 w-24 h-24 rounded-full flex items-center justify-center mx-auto mb-6">
                   <TrendingUp className="w-12 h-12 text-gray-400" />
                 </div>
-                <h3 className="text-2xl font-bold text-gray-700 mb-2">Velg en målestasjon</h3>
-                <p className="text-gray-500 text-lg">Søk og velg en målestasjon fra listen til venstre for å se data</p>
+                <h3 className="text-2xl font-bold text-gray-700 mb-2">{t('empty.title')}</h3>
+                <p className="text-gray-500 text-lg">{t('empty.text')}</p>
               </div>
             )}
 
-            {selectedStation && !stationData && loading && (
+            {pinnedStations.length > 0 && !orderedSeries.length && loading && (
               <div className="bg-white rounded-xl shadow-md p-16 text-center">
                 <div className="animate-spin rounded-full h-16 w-16 border-4 border-blue-200 border-t-blue-600 mx-auto mb-6"></div>
-                <p className="text-gray-600 text-lg font-medium">Henter data...</p>
+                <p className="text-gray-600 text-lg font-medium">{t('chart.loading')}</p>
               </div>
             )}
 
-            {stationData && (
+            {primarySeries && (
               <>
                 <div className="bg-white rounded-xl shadow-md overflow-hidden">
                   <div className="bg-gradient-to-r from-blue-50 to-blue-100 p-6 border-b border-blue-200">
-                    <div className="flex justify-between items-start">
+                    <div className="flex justify-between items-start gap-4">
                       <div>
-                        <h2 className="text-2xl font-bold text-gray-800 mb-1">{stationData.stationName}</h2>
-                        <p className="text-gray-600 font-mono text-sm">ID: {stationData.stationId}</p>
+                        <h2 className="text-2xl font-bold text-gray-800 mb-1">
+                          {mainSeries.length === 1 ? primarySeries.stationName : t('chart.stationCount', { count: mainSeries.length })}
+                        </h2>
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {pinnedStations.map(station => (
+                            <span
+                              key={station.stationId}
+                              className="flex items-center gap-2 text-sm text-gray-700 bg-white px-3 py-1 rounded-full border border-gray-200"
+                            >
+                              <span
+                                className="w-3 h-3 rounded-full"
+                                style={{ backgroundColor: seriesColor(pinnedIndex(station.stationId)) }}
+                              />
+                              {station.stationName}
+                              <span className="font-mono text-xs text-gray-500">{station.stationId}</span>
+                              <button
+                                onClick={() => watchlist.addStation(station, parameter)}
+                                className="text-gray-400 hover:text-amber-600 transition-colors"
+                                title={t('chart.watch')}
+                              >
+                                <Bell className="w-3 h-3" />
+                              </button>
+                              <button
+                                onClick={() => unpinStation(station.stationId)}
+                                className="text-gray-400 hover:text-red-600 transition-colors"
+                                title={t('chart.unpin')}
+                              >
+                                <X className="w-3 h-3" />
+                              </button>
+                            </span>
+                          ))}
+                        </div>
                         <p className="text-sm text-gray-600 mt-2 bg-white px-3 py-1 rounded-full inline-block">
-                          {stationData.parameter}
+                          {primarySeries.parameter} · {t(`resolution.${getResolution(primarySeries.resolution).id}`)}
+                          {primarySeries.aggregation && ` (${t(`aggregation.${primarySeries.aggregation}`).toLowerCase()})`}
+                          {panels.length > 0 && ` + ${panels.map(([s]) => s.parameter.toLowerCase()).join(', ')}`}
                         </p>
                       </div>
-                      <button
-                        onClick={downloadCSV}
-                        className="flex items-center gap-2 bg-gradient-to-r from-green-600 to-green-700 text-white px-5 py-3 rounded-lg hover:from-green-700 hover:to-green-800 transition-all shadow-lg hover:shadow-xl font-semibold"
-                      >
-                        <Download className="w-4 h-4" />
-                        Last ned CSV
-                      </button>
+                      <div className="flex gap-2 flex-shrink-0">
+                        <button
+                          onClick={copyLink}
+                          title={t('share.title')}
+                          className="flex items-center gap-2 bg-white border-2 border-blue-200 text-blue-700 px-4 py-3 rounded-lg hover:bg-blue-50 transition-all font-semibold"
+                        >
+                          {linkCopied ? <Check className="w-4 h-4" /> : <Link className="w-4 h-4" />}
+                          {linkCopied ? t('share.copied') : t('share.label')}
+                        </button>
+                        <button
+                          onClick={() => setShowExport(true)}
+                          className="flex items-center gap-2 bg-gradient-to-r from-green-600 to-green-700 text-white px-5 py-3 rounded-lg hover:from-green-700 hover:to-green-800 transition-all shadow-lg hover:shadow-xl font-semibold"
+                        >
+                          <Download className="w-4 h-4" />
+                          {t('export.open')}
+                        </button>
+                      </div>
                     </div>
                   </div>
 
-                  {stats && (
-                    <div className="p-6">
-                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
-                        <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-4 rounded-xl border-2 border-blue-200">
-                          <div className="text-xs font-semibold text-blue-600 mb-1 uppercase tracking-wide">Målinger</div>
-                          <div className="text-2xl font-bold text-blue-700">{stats.count}</div>
-                        </div>
-                        <div className="bg-gradient-to-br from-green-50 to-green-100 p-4 rounded-xl border-2 border-green-200">
-                          <div className="text-xs font-semibold text-green-600 mb-1 uppercase tracking-wide">Minimum</div>
-                          <div className="text-2xl font-bold text-green-700">{stats.min.toFixed(2)}</div>
-                          <div className="text-xs text-green-600 mt-1">{stationData.unit}</div>
-                        </div>
-                        <div className="bg-gradient-to-br from-red-50 to-red-100 p-4 rounded-xl border-2 border-red-200">
-                          <div className="text-xs font-semibold text-red-600 mb-1 uppercase tracking-wide">Maksimum</div>
-                          <div className="text-2xl font-bold text-red-700">{stats.max.toFixed(2)}</div>
-                          <div className="text-xs text-red-600 mt-1">{stationData.unit}</div>
-                        </div>
-                        <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-4 rounded-xl border-2 border-purple-200">
-                          <div className="text-xs font-semibold text-purple-600 mb-1 uppercase tracking-wide">Gjennomsnitt</div>
-                          <div className="text-2xl font-bold text-purple-700">{stats.avg.toFixed(2)}</div>
-                          <div className="text-xs text-purple-600 mt-1">{stationData.unit}</div>
+                  <div className="p-6">
+                    <div className="space-y-4 mb-6">
+                      {zoom && (
+                        <p className="text-xs text-gray-500">
+                          {t(seriesStats.some(({ runoff }) => runoff) ? 'stats.zoomedRunoff' : 'stats.zoomed', {
+                            from: formatTimestamp(zoom[0]),
+                            to: formatTimestamp(zoom[1])
+                          })}
+                        </p>
+                      )}
+                      {seriesStats.filter(({ stats }) => stats).map(({ series, stats, runoff }) => (
+                        <div key={series.key}>
+                          {orderedSeries.length > 1 && (
+                            <div className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-2">
+                              <span className="w-3 h-3 rounded-full" style={{ backgroundColor: series.color }} />
+                              {series.stationName}
+                              {multiParameter && <span className="font-normal text-gray-500">· {series.parameter} ({series.unit})</span>}
+                            </div>
+                          )}
+                          <div className={`grid grid-cols-2 ${series === primarySeries && latestClass ? 'md:grid-cols-5' : 'md:grid-cols-4'} gap-4`}>
+                            <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-4 rounded-xl border-2 border-blue-200">
+                              <div className="text-xs font-semibold text-blue-600 mb-1 uppercase tracking-wide">{t('stats.count')}</div>
+                              <div className="text-2xl font-bold text-blue-700">{formatNumber(stats.count, 0)}</div>
+                              {(stats.missing > 0 || stats.gaps > 0 || stats.excluded > 0) && (
+                                <div className="text-xs text-blue-600 mt-1">
+                                  {[
+                                    stats.missing > 0 && t('stats.missing', { count: stats.missing }),
+                                    stats.gaps > 0 && t('stats.gaps', { count: stats.gaps }),
+                                    stats.excluded > 0 && t('stats.excluded', { count: stats.excluded })
+                                  ].filter(Boolean).join(' · ')}
+                                </div>
+                              )}
+                            </div>
+                            <div className="bg-gradient-to-br from-green-50 to-green-100 p-4 rounded-xl border-2 border-green-200">
+                              <div className="text-xs font-semibold text-green-600 mb-1 uppercase tracking-wide">{t('stats.min')}</div>
+                              <div className="text-2xl font-bold text-green-700">{formatNumber(stats.min, 2)}</div>
+                              <div className="text-xs text-green-600 mt-1">{series.unit}</div>
+                            </div>
+                            <div className="bg-gradient-to-br from-red-50 to-red-100 p-4 rounded-xl border-2 border-red-200">
+                              <div className="text-xs font-semibold text-red-600 mb-1 uppercase tracking-wide">{t('stats.max')}</div>
+                              <div className="text-2xl font-bold text-red-700">{formatNumber(stats.max, 2)}</div>
+                              <div className="text-xs text-red-600 mt-1">{series.unit}</div>
+                            </div>
+                            <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-4 rounded-xl border-2 border-purple-200">
+                              <div className="text-xs font-semibold text-purple-600 mb-1 uppercase tracking-wide">{t('stats.mean')}</div>
+                              <div className="text-2xl font-bold text-purple-700">{formatNumber(stats.avg, 2)}</div>
+                              <div className="text-xs text-purple-600 mt-1">{series.unit}</div>
+                            </div>
+                            {series === primarySeries && latestClass && (
+                              <div className={`bg-gradient-to-br p-4 rounded-xl border-2 ${PERCENTILE_TONES[latestClass.tone]}`}>
+                                <div className="text-xs font-semibold mb-1 uppercase tracking-wide opacity-80">{t('stats.latest')}</div>
+                                <div className="text-2xl font-bold">{t(`percentileClass.${latestClass.id}`)}</div>
+                                <div className="text-xs mt-1 opacity-80">
+                                  {t('stats.percentile', {
+                                    percentile: Math.round(latestClass.percentile),
+                                    value: `${formatNumber(latestObservation.value, 2)} ${series.unit}`
+                                  })}
+                                </div>
+                              </div>
+                            )}
+                          </div>
+                          {runoff && <RunoffStats runoff={runoff} formatTick={formatTick} />}
+                          {series.parameterId === DISCHARGE_PARAMETER && !hasRunoff(series) && (
+                            <p className="mt-4 text-xs text-gray-500">
+                              {t('runoff.needsMean', { aggregation: t(`aggregation.${series.aggregation}`) })}
+                            </p>
+                          )}
                         </div>
-                      </div>
+                      ))}
+                    </div>
 
-                      <div className="bg-gray-50 rounded-xl p-6 border-2 border-gray-200">
-                        <div className="h-96">
-                          <ResponsiveContainer width="100%" height="100%">
-                            <LineChart data={chartData}>
-                              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                              <XAxis 
-                                dataKey="time" 
-                                angle={-45}
-                                textAnchor="end"
-                                height={80}
-                                tick={{ fontSize: 11, fill: '#6b7280' }}
-                              />
-                              <YAxis 
-                                label={{ value: stationData.unit, angle: -90, position: 'insideLeft', style: { fill: '#6b7280' } }}
-                                tick={{ fontSize: 11, fill: '#6b7280' }}
-                              />
-                              <Tooltip 
-                                contentStyle={{ 
-                                  backgroundColor: 'white', 
-                                  border: '2px solid #3b82f6',
-                                  borderRadius: '8px',
-                                  boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+                    <div className="flex gap-2 mb-4 border-b-2 border-gray-200">
+                      {[
+                        { id: 'series', label: t('tab.series'), icon: <TrendingUp className="w-4 h-4" /> },
+                        { id: 'analysis', label: t('tab.analysis', { station: primarySeries.stationName }), icon: <BarChart3 className="w-4 h-4" /> },
+                        { id: 'rating', label: t('tab.rating'), icon: <Activity className="w-4 h-4" /> },
+                      ].map(({ id, label, icon }) => (
+                        <button
+                          key={id}
+                          onClick={() => setChartTab(id)}
+                          className={`flex items-center gap-2 px-4 py-2 -mb-0.5 border-b-2 text-sm font-semibold transition-colors ${
+                            chartTab === id
+                              ? 'border-blue-600 text-blue-700'
+                              : 'border-transparent text-gray-500 hover:text-gray-800'
+                          }`}
+                        >
+                          {icon}
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+
+                    {chartTab === 'analysis' ? (
+                      <AnalysisPanel
+                        key={climatologyKey}
+                        series={primarySeries}
+                        history={history}
+                        historyLoading={climatology?.key !== climatologyKey}
+                      />
+                    ) : chartTab === 'rating' ? (
+                      <RatingCurvePanel
+                        stationName={primarySeries.stationName}
+                        available={ratingAvailable}
+                        data={stageDischarge.data}
+                        loading={stageDischarge.loading}
+                        error={stageDischarge.error}
+                        formatTick={formatTick}
+                      />
+                    ) : (
+                      <div className="space-y-4" ref={chartRef}>
+                        <div className="flex flex-wrap items-center justify-between gap-4 text-xs text-gray-500">
+                          <span>
+                            {zoom
+                              ? t('chart.zoomed', { from: formatTimestamp(zoom[0]), to: formatTimestamp(zoom[1]) })
+                              : t('chart.hint')}
+                            {zoomLoading && ` ${t('chart.zoomLoading')}`}
+                            {zoom && (
+                              <button onClick={() => setZoom(null)} className="ml-2 font-semibold text-blue-600 hover:text-blue-800">
+                                {t('chart.resetZoom')}
+                              </button>
+                            )}
+                          </span>
+                          <ChartExport
+                            chartRef={chartRef}
+                            filename={`${chartStationIds.join('_')}_${startDate}_${endDate}`}
+                            title={`${[...new Set(orderedSeries.map(s => s.stationName))].join(', ')} - ${primarySeries.parameter}`}
+                            subtitle={[
+                              `${formatTimestamp(timeDomain[0])} - ${formatTimestamp(timeDomain[1])} (${i18n.timeZoneName})`,
+                              t(`resolution.${getResolution(primarySeries.resolution).id}`).toLowerCase(),
+                              ...(approvedOnly ? [t('chart.approvedOnly')] : [])
+                            ].join(', ')}
+                            legend={chartLegend}
+                            report={() => ({
+                              stations: pinnedStations.filter(s => chartStationIds.includes(s.stationId)),
+                              stats: seriesStats.map(({ series, stats }) => ({
+                                stationName: series.stationName,
+                                parameter: series.parameter,
+                                unit: series.unit,
+                                stats
+                              })),
+                              runoff: seriesStats
+                                .filter(({ runoff }) => runoff)
+                                .map(({ series, runoff }) => ({ stationName: series.stationName, runoff })),
+                              annotations: visibleAnnotations
+                            })}
+                          />
+                        </div>
+                        {drawsAsBars(primarySeries.parameterId) ? (
+                          <ParameterPanel
+                            series={mainChartSeries}
+                            domain={timeDomain}
+                            syncId="hydrograph"
+                            formatTick={formatTick}
+                            markers={visibleAnnotations}
+                            height="h-96"
+                          />
+                        ) : (
+                          <div className="bg-gray-50 rounded-xl p-6 border-2 border-gray-200">
+                            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                              <input
+                                type="checkbox"
+                                checked={showPercentiles}
+                                onChange={(e) => {
+                                  setShowPercentiles(e.target.checked);
+                                  navigate(currentView({ percentiles: e.target.checked }), { replace: true });
                                 }}
+                                className="rounded"
                               />
-                              <Legend />
-                              <Line 
-                                type="monotone" 
-                                dataKey="value" 
-                                stroke="#3b82f6" 
-                                strokeWidth={3}
-                                dot={false}
-                                name={stationData.parameter}
-                              />
-                            </LineChart>
-                          </ResponsiveContainer>
-                        </div>
+                              {t('chart.percentiles', { station: primarySeries.stationName })}
+                              {showPercentiles && !climatologyBands && climatology?.key !== climatologyKey && (
+                                <span className="text-gray-400">({t('chart.percentilesLoading')})</span>
+                              )}
+                              {showPercentiles && climatology?.key === climatologyKey && !climatology.bands && (
+                                <span className="text-gray-400">({t('chart.percentilesMissing')})</span>
+                              )}
+                            </label>
+                            <Crosshair className="h-96" data-export-chart>
+                              <ResponsiveContainer width="100%" height="100%">
+                                <ComposedChart
+                                  data={chartRows}
+                                  syncId="hydrograph"
+                                  syncMethod="value"
+                                  onMouseDown={(e) => e?.activeLabel !== undefined && setSelection({ from: Number(e.activeLabel), to: Number(e.activeLabel) })}
+                                  onMouseMove={(e) => selection && e?.activeLabel !== undefined && setSelection({ ...selection, to: Number(e.activeLabel) })}
+                                  onMouseUp={applySelection}
+                                  onMouseLeave={() => setSelection(null)}
+                                >
+                                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                                  <XAxis 
+                                    dataKey="timestamp" 
+                                    type="number"
+                                    scale="time"
+                                    domain={timeDomain}
+                                    allowDataOverflow
+                                    tickFormatter={formatTick}
+                                    minTickGap={40}
+                                    height={30}
+                                    tick={{ fontSize: 11, fill: '#6b7280' }}
+                                  />
+                                  <YAxis 
+                                    label={{ value: primarySeries.unit, angle: -90, position: 'insideLeft', style: { fill: '#6b7280' } }}
+                                    tick={{ fontSize: 11, fill: '#6b7280' }}
+                                  />
+                                  <Tooltip 
+                                    labelFormatter={formatTimestamp}
+                                    cursor={{ stroke: '#6b7280', strokeDasharray: '3 3' }}
+                                    formatter={(value) => Array.isArray(value)
+                                      ? value.map(v => formatNumber(v, 2)).join(' – ')
+                                      : formatNumber(value, 2)}
+                                    contentStyle={{ 
+                                      backgroundColor: 'white', 
+                                      border: '2px solid #3b82f6',
+                                      borderRadius: '8px',
+                                      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+                                    }}
+                                  />
+                                  <Legend />
+                                  {climatologyBands && (
+                                    <>
+                                      <Area dataKey="bandRange" name={t('chart.band.range')} stroke="none" fill="#93c5fd" fillOpacity={0.2} isAnimationActive={false} />
+                                      <Area dataKey="bandOuter" name={t('chart.band.outer')} stroke="none" fill="#60a5fa" fillOpacity={0.25} isAnimationActive={false} />
+                                      <Area dataKey="bandInner" name={t('chart.band.inner')} stroke="none" fill="#3b82f6" fillOpacity={0.25} isAnimationActive={false} />
+                                      <Line dataKey="bandMedian" name={t('chart.band.median')} stroke="#64748b" strokeDasharray="4 4" strokeWidth={1} dot={false} isAnimationActive={false} />
+                                    </>
+                                  )}
+                                  {mainSeries.flatMap(series => {
+                                    const name = mainSeries.length > 1 ? series.stationName : series.parameter;
+                                    return [
+                                      <Line 
+                                        key={series.key}
+                                        type="monotone" 
+                                        dataKey={series.key} 
+                                        stroke={series.color} 
+                                        strokeWidth={mainSeries.length > 1 ? 2 : 3}
+                                        dot={false}
+                                        name={name}
+                                      />,
+                                      <Line
+                                        key={uncontrolledKey(series.key)}
+                                        type="monotone"
+                                        dataKey={uncontrolledKey(series.key)}
+                                        stroke={series.color}
+                                        strokeWidth={mainSeries.length > 1 ? 2 : 3}
+                                        strokeDasharray="6 4"
+                                        dot={false}
+                                        legendType="none"
+                                        name={t('chart.uncontrolled', { name })}
+                                      />
+                                    ];
+                                  })}
+                                  {visibleAnnotations.map(a => (
+                                    <ReferenceLine
+                                      key={a.id}
+                                      x={a.timestamp}
+                                      stroke={a.color}
+                                      strokeDasharray="2 2"
+                                      label={{ value: a.text.length > 30 ? `${a.text.slice(0, 29)}…` : a.text, position: 'insideTopLeft', fontSize: 11, fill: '#374151' }}
+                                    />
+                                  ))}
+                                  {selection && (
+                                    <ReferenceArea x1={selection.from} x2={selection.to} fill="#3b82f6" fillOpacity={0.15} />
+                                  )}
+                                </ComposedChart>
+                              </ResponsiveContainer>
+                            </Crosshair>
+                            <p className="text-xs text-gray-500 mt-2">
+                              {t('chart.legendNote')}
+                            </p>
+                          </div>
+                        )}
+                        {panels.map(panelSeries => (
+                          <ParameterPanel
+                            key={panelSeries[0].parameterId}
+                            series={panelSeries}
+                            domain={timeDomain}
+                            syncId="hydrograph"
+                            formatTick={formatTick}
+                            markers={visibleAnnotations}
+                          />
+                        ))}
+                        <ChartNavigator
+                          rows={overview.rows}
+                          series={overview.series}
+                          zoom={zoom}
+                          onZoom={setZoom}
+                          formatTick={i18n.tickFormatter([overview.rows[0]?.timestamp, overview.rows[overview.rows.length - 1]?.timestamp])}
+                        />
+                        <Annotations
+                          stations={mainSeries}
+                          items={visibleAnnotations}
+                          draftTime={annotationDraft}
+                          onDraft={(time = timeDomain[1]) => setAnnotationDraft(time)}
+                          onAdd={addAnnotation}
+                          onRemove={removeAnnotation}
+                        />
                       </div>
-                    </div>
-                  )}
-                </div>
-
-                <div className="bg-white rounded-xl shadow-md overflow-hidden">
-                  <div className="bg-gradient-to-r from-gray-50 to-gray-100 p-4 border-b border-gray-200">
-                    <h3 className="font-bold text-lg text-gray-800">Rådata</h3>
-                  </div>
-                  <div className="overflow-x-auto">
-                    <div className="max-h-80 overflow-y-auto">
-                      <table className="w-full">
-                        <thead className="bg-gray-100 sticky top-0 border-b-2 border-gray-200">
-                          <tr>
-                            <th className="px-6 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">Tidspunkt</th>
-                            <th className="px-6 py-3 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">Verdi ({stationData.unit})</th>
-                          </tr>
-                        </thead>
-                        <tbody className="bg-white divide-y divide-gray-200">
-                          {stationData.observations.map((obs, idx) => (
-                            <tr key={idx} className="hover:bg-blue-50 transition-colors">
-                              <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700">
-                                {new Date(obs.time).toLocaleString('no-NO')}
-                              </td>
-                              <td className="px-6 py-3 whitespace-nowrap text-sm text-right font-mono font-semibold text-gray-800">
-                                {obs.value?.toFixed(2)}
-                              </td>
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
-                    </div>
+                    )}
                   </div>
                 </div>
+
+                <RawDataTable series={orderedSeries} rows={mergedRows} multiParameter={multiParameter} />
               </>
             )}
           </div>
         </div>
       </main>
+
+      {showExport && (
+        <ExportDialog
+          series={orderedSeries}
+          stations={stations}
+          startDate={startDate}
+          endDate={endDate}
+          approvedOnly={approvedOnly}
+          onClose={() => setShowExport(false)}
+        />
+      )}
     </div>
   );
 }
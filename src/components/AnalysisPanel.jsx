@@ -0,0 +1,268 @@
+import React, { useMemo, useState } from 'react';
+import { ComposedChart, LineChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  RETURN_PERIODS,
+  flowDurationCurve,
+  exceedanceValue,
+  annualExtremes,
+  floodFrequency,
+  baseflowIndex
+} from '../lib/analysis';
+import { useI18n } from '../hooks/useI18n';
+
+const TOOLTIP_STYLE = {
+  backgroundColor: 'white',
+  border: '2px solid #3b82f6',
+  borderRadius: '8px',
+  boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+};
+
+const AXIS_TICK = { fontSize: 11, fill: '#6b7280' };
+
+// Dense return periods for drawing the fitted curves, evenly spaced on a log axis.
+const CURVE_PERIODS = Array.from({ length: 41 }, (_, i) => Math.pow(10, 0.04 + (i * 2.4) / 40));
+
+function StatCard({ label, value, detail, tone }) {
+  return (
+    <div className={`bg-gradient-to-br p-4 rounded-xl border-2 ${tone}`}>
+      <div className="text-xs font-semibold mb-1 uppercase tracking-wide opacity-80">{label}</div>
+      <div className="text-2xl font-bold">{value}</div>
+      {detail && <div className="text-xs mt-1 opacity-80">{detail}</div>}
+    </div>
+  );
+}
+
+function AnalysisPanel({ series, history, historyLoading }) {
+  const { t, formatNumber, formatPercent } = useI18n();
+  const format = (value) => formatNumber(value, 2);
+  const [scope, setScope] = useState('record');
+  const [startMonth, setStartMonth] = useState(0);
+  const [logScale, setLogScale] = useState(true);
+
+  const observations = scope === 'record' && history ? history : series.observations;
+  const isDischarge = series.parameterId === '1001';
+
+  const analysis = useMemo(() => {
+    const curve = flowDurationCurve(observations);
+    const years = annualExtremes(observations, { startMonth });
+    const complete = years.filter(y => y.complete);
+    return {
+      curve,
+      years,
+      complete,
+      frequency: floodFrequency(complete.map(y => y.max)),
+      baseflow: isDischarge ? baseflowIndex(observations) : null,
+      meanAnnualMax: complete.length ? complete.reduce((sum, y) => sum + y.max, 0) / complete.length : null
+    };
+  }, [observations, startMonth, isDischarge]);
+
+  const { curve, years, complete, frequency, baseflow, meanAnnualMax } = analysis;
+  const canLog = logScale && curve.length > 0 && curve[curve.length - 1].value > 0;
+
+  const fittedCurves = frequency && CURVE_PERIODS.map(period => ({
+    period,
+    gumbel: frequency.gumbel.quantile(period),
+    gev: frequency.gev.quantile(period)
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          {t('analysis.source')}
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            className="px-3 py-1.5 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 outline-none"
+          >
+            <option value="record">{t('analysis.source.record')}</option>
+            <option value="view">{t('analysis.source.view')}</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          {t('analysis.yearStart')}
+          <select
+            value={startMonth}
+            onChange={(e) => setStartMonth(Number(e.target.value))}
+            className="px-3 py-1.5 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 outline-none"
+          >
+            <option value={0}>{t('analysis.yearStart.january')}</option>
+            <option value={8}>{t('analysis.yearStart.september')}</option>
+          </select>
+        </label>
+        {scope === 'record' && !history && (
+          <span className="text-gray-400">
+            {historyLoading ? t('analysis.historyLoading') : t('analysis.noHistory')}
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <StatCard
+          label={t('analysis.median')}
+          value={format(exceedanceValue(curve, 50))}
+          detail={series.unit}
+          tone="from-blue-50 to-blue-100 border-blue-200 text-blue-700"
+        />
+        <StatCard
+          label={t('analysis.lowFlow')}
+          value={format(exceedanceValue(curve, 95))}
+          detail={t('analysis.lowFlow.detail', { unit: series.unit })}
+          tone="from-amber-50 to-amber-100 border-amber-200 text-amber-700"
+        />
+        <StatCard
+          label={t('analysis.meanFlood')}
+          value={format(meanAnnualMax)}
+          detail={t('analysis.meanFlood.detail', { unit: series.unit, count: complete.length })}
+          tone="from-red-50 to-red-100 border-red-200 text-red-700"
+        />
+        {baseflow && (
+          <StatCard
+            label={t('analysis.baseflow')}
+            value={format(baseflow.bfi)}
+            detail={t('analysis.baseflow.detail', { alpha: formatNumber(0.925, 3) })}
+            tone="from-green-50 to-green-100 border-green-200 text-green-700"
+          />
+        )}
+      </div>
+
+      <div className="bg-gray-50 rounded-xl p-6 border-2 border-gray-200">
+        <div className="flex justify-between items-center mb-4">
+          <h4 className="font-semibold text-gray-800">{t('analysis.durationCurve')}</h4>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={logScale} onChange={(e) => setLogScale(e.target.checked)} className="rounded" />
+            {t('analysis.logAxis')}
+          </label>
+        </div>
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={curve}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis
+                dataKey="exceedance"
+                type="number"
+                domain={[0, 100]}
+                tickFormatter={(v) => formatPercent(v / 100)}
+                tick={AXIS_TICK}
+                label={{ value: t('analysis.exceedanceAxis'), position: 'insideBottom', offset: -5, style: { fill: '#6b7280', fontSize: 12 } }}
+                height={45}
+              />
+              <YAxis
+                scale={canLog ? 'log' : 'auto'}
+                domain={canLog ? ['auto', 'auto'] : [0, 'auto']}
+                tick={AXIS_TICK}
+                label={{ value: series.unit, angle: -90, position: 'insideLeft', style: { fill: '#6b7280' } }}
+              />
+              <Tooltip
+                labelFormatter={(v) => t('analysis.exceeded', { percent: formatPercent(v / 100, 1) })}
+                formatter={format}
+                contentStyle={TOOLTIP_STYLE}
+              />
+              <Line dataKey="value" name={series.parameter} stroke="#3b82f6" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="bg-gray-50 rounded-xl p-6 border-2 border-gray-200">
+        <h4 className="font-semibold text-gray-800 mb-4">{t('analysis.annualExtremes')}</h4>
+        {years.length ? (
+          <>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={years}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis dataKey="year" tick={AXIS_TICK} />
+                  <YAxis tick={AXIS_TICK} label={{ value: series.unit, angle: -90, position: 'insideLeft', style: { fill: '#6b7280' } }} />
+                  <Tooltip
+                    formatter={format}
+                    labelFormatter={(year) => {
+                      const entry = years.find(y => y.year === year);
+                      return entry?.complete ? year : t('analysis.incompleteYear', { year: String(year) });
+                    }}
+                    contentStyle={TOOLTIP_STYLE}
+                  />
+                  <Legend />
+                  <Line dataKey="max" name={t('analysis.annualMax')} stroke="#ef4444" strokeWidth={2} isAnimationActive={false} />
+                  <Line dataKey="min" name={t('analysis.annualMin')} stroke="#10b981" strokeWidth={2} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            {years.length > complete.length && (
+              <p className="text-xs text-gray-500 mt-2">
+                {t('analysis.incompleteYears', { count: years.length - complete.length })}
+              </p>
+            )}
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">{t('analysis.noValues')}</p>
+        )}
+      </div>
+
+      <div className="bg-gray-50 rounded-xl p-6 border-2 border-gray-200">
+        <h4 className="font-semibold text-gray-800 mb-1">{t('analysis.floodFrequency')}</h4>
+        {frequency ? (
+          <>
+            <p className="text-xs text-gray-500 mb-4">
+              {t('analysis.floodFrequency.note', { count: frequency.years })}
+            </p>
+            <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+              <table className="w-full text-sm self-start">
+                <thead className="border-b-2 border-gray-200">
+                  <tr>
+                    <th className="py-2 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">{t('analysis.returnPeriod')}</th>
+                    <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">{t('analysis.gumbel')}</th>
+                    <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">{t('analysis.gev')}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {frequency.table.map(row => (
+                    <tr key={row.period}>
+                      <td className="py-2 font-semibold text-gray-700">Q{row.period}</td>
+                      <td className="py-2 text-right font-mono text-gray-900">{format(row.gumbel)}</td>
+                      <td className="py-2 text-right font-mono text-gray-900">{format(row.gev)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="h-72 xl:col-span-2">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis
+                      dataKey="period"
+                      type="number"
+                      scale="log"
+                      domain={[1, 300]}
+                      ticks={[1, ...RETURN_PERIODS]}
+                      allowDataOverflow
+                      tick={AXIS_TICK}
+                      label={{ value: t('analysis.returnPeriodAxis'), position: 'insideBottom', offset: -5, style: { fill: '#6b7280', fontSize: 12 } }}
+                      height={45}
+                    />
+                    <YAxis tick={AXIS_TICK} label={{ value: series.unit, angle: -90, position: 'insideLeft', style: { fill: '#6b7280' } }} />
+                    <Tooltip
+                      labelFormatter={(v) => t('analysis.years', { years: formatNumber(v, 1) })}
+                      formatter={format}
+                      contentStyle={TOOLTIP_STYLE}
+                    />
+                    <Legend />
+                    <Line data={fittedCurves} dataKey="gumbel" name={t('analysis.gumbel')} stroke="#8b5cf6" strokeWidth={2} dot={false} isAnimationActive={false} />
+                    <Line data={fittedCurves} dataKey="gev" name={t('analysis.gev')} stroke="#f59e0b" strokeWidth={2} dot={false} isAnimationActive={false} />
+                    <Scatter data={frequency.observed} dataKey="value" name={t('analysis.observed')} fill="#ef4444" isAnimationActive={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">
+            {t('analysis.floodFrequency.tooShort')}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AnalysisPanel;
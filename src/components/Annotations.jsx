@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { MessageSquarePlus, X } from 'lucide-react';
+import { toDateTimeInput, fromDateTimeInput } from '../lib/timeFormat';
+import { useI18n } from '../hooks/useI18n';
+
+// The time is entered as wall clock time in the zone the rest of the app
+// shows.
+function AnnotationForm({ stations, time, onSave, onCancel }) {
+  const { t, timeZone, timeZoneName } = useI18n();
+  const [stationId, setStationId] = useState(stations[0].stationId);
+  const [when, setWhen] = useState(toDateTimeInput(time, timeZone));
+  const [text, setText] = useState('');
+
+  const save = () => {
+    const instant = when ? fromDateTimeInput(when, timeZone) : null;
+    if (!text.trim() || instant === null) return;
+    onSave(stationId, new Date(instant).toISOString(), text.trim());
+  };
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 bg-blue-50 border-2 border-blue-200 rounded-xl p-3">
+      <label className="text-xs font-semibold text-gray-700">
+        {t('annotations.time', { zone: timeZoneName })}
+        <input
+          type="datetime-local"
+          value={when}
+          onChange={(e) => setWhen(e.target.value)}
+          className="block mt-1 px-2 py-1.5 border-2 border-gray-200 rounded-lg text-sm font-normal"
+        />
+      </label>
+      {stations.length > 1 && (
+        <label className="text-xs font-semibold text-gray-700">
+          {t('annotations.station')}
+          <select
+            value={stationId}
+            onChange={(e) => setStationId(e.target.value)}
+            className="block mt-1 px-2 py-1.5 border-2 border-gray-200 rounded-lg text-sm font-normal"
+          >
+            {stations.map(s => <option key={s.stationId} value={s.stationId}>{s.stationName}</option>)}
+          </select>
+        </label>
+      )}
+      <label className="text-xs font-semibold text-gray-700 flex-1 min-w-48">
+        {t('annotations.text')}
+        <input
+          type="text"
+          value={text}
+          autoFocus
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') save();
+            if (e.key === 'Escape') onCancel();
+          }}
+          placeholder={t('annotations.placeholder')}
+          className="block w-full mt-1 px-2 py-1.5 border-2 border-gray-200 rounded-lg text-sm font-normal"
+        />
+      </label>
+      <button
+        onClick={save}
+        disabled={!text.trim() || !when}
+        className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:bg-gray-400"
+      >
+        {t('common.save')}
+      </button>
+      <button onClick={onCancel} className="px-3 py-1.5 text-sm font-semibold text-gray-600 hover:text-gray-900">
+        {t('common.cancel')}
+      </button>
+    </div>
+  );
+}
+
+// Event markers for the stations in the main chart. Items carry the station
+// name and colour next to the stored { id, time, text }.
+function Annotations({ stations, items, draftTime, onDraft, onAdd, onRemove }) {
+  const { t, formatTimestamp, timeZone } = useI18n();
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-semibold text-gray-700">
+          {t('annotations.title')} {items.length > 0 && <span className="font-normal text-gray-500">({t('annotations.inPeriod', { count: items.length })})</span>}
+        </h4>
+        {draftTime === null && (
+          <button onClick={() => onDraft()} className="flex items-center gap-1 text-xs font-semibold text-blue-600 hover:text-blue-800">
+            <MessageSquarePlus className="w-4 h-4" />
+            {t('annotations.new')}
+          </button>
+        )}
+      </div>
+      {draftTime !== null && (
+        <AnnotationForm
+          key={`${draftTime}|${timeZone}`}
+          stations={stations}
+          time={draftTime}
+          onSave={(stationId, time, text) => {
+            onAdd(stationId, time, text);
+            onDraft(null);
+          }}
+          onCancel={() => onDraft(null)}
+        />
+      )}
+      {items.length > 0 && (
+        <ul className="divide-y divide-gray-200 text-sm">
+          {items.map(item => (
+            <li key={item.id} className="flex items-center gap-3 py-1.5">
+              <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: item.color }} />
+              <span className="text-gray-500 whitespace-nowrap">{formatTimestamp(item.time)}</span>
+              {stations.length > 1 && <span className="text-gray-500 whitespace-nowrap">{item.stationName}</span>}
+              <span className="flex-1 text-gray-800">{item.text}</span>
+              <button
+                onClick={() => onRemove(item.stationId, item.id)}
+                className="text-gray-400 hover:text-red-600"
+                title={t('annotations.delete')}
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default Annotations;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { Image as ImageIcon, FileText } from 'lucide-react';
+import { composeChartSvg, renderChartCanvas, canvasToBlob } from '../lib/chartImage';
+import { buildReportPdf } from '../lib/report';
+import { downloadFile } from '../lib/export';
+import { useI18n } from '../hooks/useI18n';
+
+// One-click image and report export of the charts as they are shown now,
+// zoom and annotations included. chartRef points at the element holding the
+// charts; those marked with data-export-chart are included, top to bottom.
+function ChartExport({ chartRef, filename, title, subtitle, legend, report }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const compose = () => {
+    const containers = [...(chartRef.current?.querySelectorAll('[data-export-chart]') || [])];
+    const svg = composeChartSvg(containers, { title, legend });
+    if (!svg) throw new Error(t('chartExport.noChart'));
+    return svg;
+  };
+
+  const run = (format, task) => async () => {
+    setBusy(format);
+    setError(null);
+    try {
+      await task();
+    } catch (err) {
+      setError(i18n.errorMessage(err));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const exportSvg = run('svg', async () => {
+    downloadFile(compose().markup, `${filename}.svg`, 'image/svg+xml;charset=utf-8');
+  });
+
+  const exportPng = run('png', async () => {
+    const canvas = await renderChartCanvas(compose());
+    downloadFile(await canvasToBlob(canvas), `${filename}.png`, 'image/png');
+  });
+
+  const exportPdf = run('pdf', async () => {
+    const svg = compose();
+    const canvas = await renderChartCanvas(svg);
+    const pdf = await buildReportPdf({ ...report(), title, subtitle, chart: { canvas, width: svg.width, height: svg.height }, i18n });
+    downloadFile(pdf, `${filename}.pdf`, 'application/pdf');
+  });
+
+  const buttonClass = 'flex items-center gap-1 px-2.5 py-1 rounded-lg border-2 border-gray-200 bg-white text-xs font-semibold text-gray-700 hover:border-blue-300 hover:text-blue-700 disabled:opacity-50';
+
+  return (
+    <div className="flex items-center gap-2">
+      {error && <span className="text-xs text-red-600">{error}</span>}
+      <button onClick={exportPng} disabled={busy !== null} className={buttonClass} title={t('chartExport.png')}>
+        <ImageIcon className="w-3.5 h-3.5" />
+        {busy === 'png' ? t('chartExport.busy') : 'PNG'}
+      </button>
+      <button onClick={exportSvg} disabled={busy !== null} className={buttonClass} title={t('chartExport.svg')}>
+        <ImageIcon className="w-3.5 h-3.5" />
+        SVG
+      </button>
+      <button onClick={exportPdf} disabled={busy !== null} className={buttonClass} title={t('chartExport.pdf')}>
+        <FileText className="w-3.5 h-3.5" />
+        {busy === 'pdf' ? t('chartExport.pdfBusy') : t('chartExport.pdfLabel')}
+      </button>
+    </div>
+  );
+}
+
+export default ChartExport;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { ComposedChart, Line, Brush, ResponsiveContainer } from 'recharts';
+
+// An overview of the whole period under the main chart. Dragging the brush or
+// its handles zooms the charts above to the selected range; the selection is
+// applied when the drag ends, so the detail fetch only runs once.
+function ChartNavigator({ rows, series, zoom, onZoom, formatTick }) {
+  if (rows.length < 3) return null;
+
+  const last = rows.length - 1;
+  const startIndex = zoom ? Math.max(0, rows.findIndex(row => row.timestamp >= zoom[0])) : 0;
+  const found = zoom ? rows.findLastIndex(row => row.timestamp <= zoom[1]) : last;
+  const endIndex = found > startIndex ? found : Math.min(last, startIndex + 1);
+
+  const handleDragEnd = ({ startIndex: start, endIndex: end }) => {
+    if (start === startIndex && end === endIndex) return;
+    onZoom(start === 0 && end === last ? null : [rows[start].timestamp, rows[end].timestamp]);
+  };
+
+  return (
+    <div className="h-16">
+      <ResponsiveContainer width="100%" height="100%">
+        <ComposedChart data={rows} margin={{ top: 0, right: 5, bottom: 0, left: 65 }}>
+          <Brush
+            dataKey="timestamp"
+            height={56}
+            startIndex={startIndex}
+            endIndex={endIndex}
+            onDragEnd={handleDragEnd}
+            tickFormatter={formatTick}
+            stroke="#3b82f6"
+            travellerWidth={8}
+          >
+            <ComposedChart>
+              {series.map(s => (
+                <Line key={s.key} dataKey={s.key} stroke={s.color} strokeWidth={1} dot={false} isAnimationActive={false} />
+              ))}
+            </ComposedChart>
+          </Brush>
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default ChartNavigator;
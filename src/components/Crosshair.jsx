@@ -0,0 +1,32 @@
+import React, { useRef } from 'react';
+
+// Adds the horizontal half of a crosshair over a chart; the tooltip cursor
+// draws the vertical one. The line is moved directly in the DOM, so following
+// the mouse does not re-render the chart.
+function Crosshair({ className, children, ...props }) {
+  const lineRef = useRef(null);
+
+  const move = (e) => {
+    const line = lineRef.current;
+    if (!line) return;
+    line.style.transform = `translateY(${e.clientY - e.currentTarget.getBoundingClientRect().top}px)`;
+    line.style.display = 'block';
+  };
+
+  const hide = () => {
+    if (lineRef.current) lineRef.current.style.display = 'none';
+  };
+
+  return (
+    <div {...props} className={`relative ${className}`} onMouseMove={move} onMouseLeave={hide}>
+      {children}
+      <div
+        ref={lineRef}
+        className="absolute left-0 right-0 top-0 border-t border-dashed border-gray-500 pointer-events-none"
+        style={{ display: 'none' }}
+      />
+    </div>
+  );
+}
+
+export default Crosshair;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Download, X } from 'lucide-react';
+import {
+  EXPORT_FORMATS,
+  CSV_SEPARATORS,
+  DECIMAL_SEPARATORS,
+  seriesMetadata,
+  buildExport,
+  downloadFile
+} from '../lib/export';
+import { loadJSON, saveJSON } from '../lib/storage';
+import { useI18n } from '../hooks/useI18n';
+
+// Until the user picks separators, the CSV follows the spreadsheet
+// conventions of the language: semicolon and decimal comma in Norwegian,
+// comma and decimal point in English.
+const DEFAULT_OPTIONS = {
+  nb: { format: 'csv', separator: ';', decimal: ',' },
+  en: { format: 'csv', separator: ',', decimal: '.' },
+};
+
+function ExportDialog({ series, stations, startDate, endDate, approvedOnly, onClose }) {
+  const { t, language, timeZone, timeZoneName } = useI18n();
+  const [options, setOptions] = useState(() => ({ ...DEFAULT_OPTIONS[language], ...loadJSON('export-options', {}) }));
+  const [scope, setScope] = useState('all');
+
+  // A CSV with the same separator and decimal mark cannot be read back.
+  const clashingSeparators = options.format === 'csv' && options.separator === options.decimal;
+
+  const updateOptions = (changes) => {
+    const next = { ...options, ...changes };
+    setOptions(next);
+    saveJSON('export-options', next);
+  };
+
+  const handleExport = () => {
+    const selected = scope === 'all' ? series : series.filter(s => s.key === scope);
+    const entries = selected.map(s => ({
+      series: s,
+      metadata: seriesMetadata(s, stations.find(st => st.stationId === s.stationId), { startDate, endDate, t })
+    }));
+    const format = EXPORT_FORMATS.find(f => f.id === options.format);
+    const content = buildExport(format.id, entries, { approvedOnly, t, timeZone }, options);
+    const name = [...new Set(selected.map(s => s.stationId))].join('_');
+    downloadFile(content, `${name}_${startDate}_${endDate}.${format.extension}`, format.mime);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full overflow-hidden" onClick={(e) => e.stopPropagation()}>
+        <div className="bg-gradient-to-r from-green-50 to-green-100 p-4 border-b border-green-200 flex justify-between items-center">
+          <h2 className="font-bold text-lg text-gray-800 flex items-center gap-2">
+            <Download className="w-5 h-5 text-green-600" />
+            {t('export.title')}
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title={t('common.close')}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">{t('export.format')}</label>
+            <div className="grid grid-cols-2 gap-2">
+              {EXPORT_FORMATS.map(format => (
+                <button
+                  key={format.id}
+                  onClick={() => updateOptions({ format: format.id })}
+                  className={`px-3 py-2 rounded-lg border-2 text-sm transition-all ${
+                    options.format === format.id
+                      ? 'bg-green-50 border-green-500 text-green-800 font-semibold'
+                      : 'bg-white border-gray-200 text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {options.format === 'csv' && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">{t('export.separator')}</label>
+                <select
+                  value={options.separator}
+                  onChange={(e) => updateOptions({ separator: e.target.value })}
+                  className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all outline-none"
+                >
+                  {CSV_SEPARATORS.map(s => (
+                    <option key={s.id} value={s.id}>{t(`separator.${s.name}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">{t('export.decimal')}</label>
+                <select
+                  value={options.decimal}
+                  onChange={(e) => updateOptions({ decimal: e.target.value })}
+                  className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all outline-none"
+                >
+                  {DECIMAL_SEPARATORS.map(d => (
+                    <option key={d.id} value={d.id}>{t(`separator.${d.name}`)}</option>
+                  ))}
+                </select>
+              </div>
+              {clashingSeparators && (
+                <p className="col-span-2 text-xs text-red-600">{t('export.sameSeparators')}</p>
+              )}
+            </div>
+          )}
+
+          {series.length > 1 && (
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">{t('export.series')}</label>
+              <select
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all outline-none"
+              >
+                <option value="all">{t('export.allSeries', { count: series.length })}</option>
+                {series.map(s => (
+                  <option key={s.key} value={s.key}>{s.stationName} · {s.parameter}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            {t('export.note', { zone: timeZoneName })}
+            {approvedOnly && ` ${t('export.approvedOnlyNote')}`}
+          </p>
+
+          <button
+            onClick={handleExport}
+            disabled={clashingSeparators}
+            className="w-full bg-gradient-to-r from-green-600 to-green-700 text-white py-3 rounded-lg font-semibold hover:from-green-700 hover:to-green-800 disabled:from-gray-400 disabled:to-gray-400 disabled:cursor-not-allowed transition-all shadow-lg hover:shadow-xl flex items-center justify-center gap-2"
+          >
+            <Download className="w-4 h-4" />
+            {t('export.download')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportDialog;
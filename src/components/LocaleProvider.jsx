@@ -0,0 +1,9 @@
+import React from 'react';
+import { I18nContext, useLocaleSettings } from '../hooks/useI18n';
+
+function LocaleProvider({ children }) {
+  const i18n = useLocaleSettings();
+  return <I18nContext.Provider value={i18n}>{children}</I18nContext.Provider>;
+}
+
+export default LocaleProvider;
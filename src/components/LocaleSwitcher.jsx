@@ -0,0 +1,44 @@
+import React from 'react';
+import { Globe, Clock } from 'lucide-react';
+import { LANGUAGES, TIME_ZONES } from '../lib/i18n';
+import { useI18n } from '../hooks/useI18n';
+
+// Language and time zone pickers for the header. Languages are named in their
+// own language, so the way back is readable whatever is chosen.
+function LocaleSwitcher({ timeZone: showTimeZone = true, className = '' }) {
+  const { t, language, timeZone, setLanguage, setTimeZone } = useI18n();
+
+  const toggleClass = (active) => `px-2 py-1 rounded-md text-xs font-semibold transition-all ${
+    active ? 'bg-white text-blue-700 shadow' : 'text-current opacity-80 hover:opacity-100'
+  }`;
+
+  return (
+    <div className={`flex flex-wrap items-center gap-3 ${className}`}>
+      <div className="flex items-center gap-1 bg-black/10 rounded-lg p-1" role="group" aria-label={t('locale.language')}>
+        <Globe className="w-4 h-4 mx-1 opacity-80" />
+        {LANGUAGES.map(l => (
+          <button key={l.id} lang={l.id} onClick={() => setLanguage(l.id)} className={toggleClass(l.id === language)}>
+            {l.name}
+          </button>
+        ))}
+      </div>
+      {showTimeZone && (
+        <div className="flex items-center gap-1 bg-black/10 rounded-lg p-1" role="group" aria-label={t('locale.timeZone')}>
+          <Clock className="w-4 h-4 mx-1 opacity-80" />
+          {TIME_ZONES.map(zone => (
+            <button
+              key={zone}
+              onClick={() => setTimeZone(zone)}
+              title={t(`timeZone.${zone}.hint`)}
+              className={toggleClass(zone === timeZone)}
+            >
+              {t(`timeZone.${zone}.short`)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LocaleSwitcher;
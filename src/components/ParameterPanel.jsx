@@ -0,0 +1,83 @@
+import React from 'react';
+import { ComposedChart, Line, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { uncontrolledKey, mergeSeries, buildChartRows } from '../lib/series';
+import { drawsAsBars } from '../lib/parameters';
+import { useI18n } from '../hooks/useI18n';
+
+// One parameter in the stacked view below the main chart. All panels share the
+// time domain and a syncId, so the tooltip cursor moves through them together.
+// Markers ({ id, timestamp, color }) draw the annotations as plain lines.
+function ParameterPanel({ series, domain, syncId, formatTick, markers = [], height = 'h-48' }) {
+  const { t, formatNumber, formatTimestamp } = useI18n();
+  const first = series[0];
+  const bars = drawsAsBars(first.parameterId);
+  // Bars must sit on the measured timestamps; interpolated rows would add
+  // bars that were never observed.
+  const rows = bars ? mergeSeries(series) : buildChartRows(series);
+  const name = (s) => (series.length > 1 ? s.stationName : s.parameter);
+
+  return (
+    <div className="bg-gray-50 rounded-xl p-4 border-2 border-gray-200">
+      <div className="text-sm font-semibold text-gray-700 mb-2">
+        {first.parameter} ({first.unit})
+      </div>
+      <div className={height} data-export-chart>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={rows} syncId={syncId} syncMethod="value">
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis
+              dataKey="timestamp"
+              type="number"
+              scale="time"
+              domain={domain}
+              tickFormatter={formatTick}
+              tick={{ fontSize: 10, fill: '#6b7280' }}
+              height={24}
+            />
+            <YAxis
+              reversed={bars}
+              domain={bars ? [0, 'auto'] : ['auto', 'auto']}
+              tick={{ fontSize: 11, fill: '#6b7280' }}
+              width={50}
+            />
+            <Tooltip
+              labelFormatter={formatTimestamp}
+              cursor={{ stroke: '#6b7280', strokeDasharray: '3 3' }}
+              formatter={(value) => formatNumber(value, 2)}
+              contentStyle={{
+                backgroundColor: 'white',
+                border: '2px solid #3b82f6',
+                borderRadius: '8px',
+                boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+              }}
+            />
+            {markers.map(marker => (
+              <ReferenceLine key={marker.id} x={marker.timestamp} stroke={marker.color} strokeDasharray="2 2" />
+            ))}
+            {series.flatMap(s => (bars
+              ? [
+                  <Bar key={s.key} dataKey={s.key} name={name(s)} fill={s.color} isAnimationActive={false} />
+                ]
+              : [
+                  <Line key={s.key} type="monotone" dataKey={s.key} name={name(s)} stroke={s.color} strokeWidth={2} dot={false} isAnimationActive={false} />,
+                  <Line
+                    key={uncontrolledKey(s.key)}
+                    type="monotone"
+                    dataKey={uncontrolledKey(s.key)}
+                    name={t('chart.uncontrolled', { name: name(s) })}
+                    stroke={s.color}
+                    strokeWidth={2}
+                    strokeDasharray="6 4"
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                ]
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default ParameterPanel;
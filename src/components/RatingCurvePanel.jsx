@@ -0,0 +1,196 @@
+import React, { useMemo } from 'react';
+import { ComposedChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { pairObservations, fitRatingCurve, ratingResiduals, ratingCurvePoints } from '../lib/rating';
+import { useI18n } from '../hooks/useI18n';
+
+const TOOLTIP_STYLE = {
+  backgroundColor: 'white',
+  border: '2px solid #3b82f6',
+  borderRadius: '8px',
+  boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+};
+
+const AXIS_TICK = { fontSize: 11, fill: '#6b7280' };
+const MAX_PLOTTED = 3000;
+
+// Thins the regular points for drawing; outliers are always drawn.
+const thin = (points) => {
+  if (points.length <= MAX_PLOTTED) return points;
+  const step = points.length / MAX_PLOTTED;
+  return Array.from({ length: MAX_PLOTTED }, (_, i) => points[Math.floor(i * step)]);
+};
+
+function RatingCurvePanel({ stationName, data, loading, error, available, formatTick }) {
+  const { t, formatNumber, formatPercent, formatTimestamp, errorMessage } = useI18n();
+  const formatResidual = (value) => (value === null ? '–' : `${value > 0 ? '+' : ''}${formatPercent(value / 100, 1)}`);
+  const analysis = useMemo(() => {
+    if (!data) return null;
+    const pairs = pairObservations(data.stage, data.discharge);
+    const fit = fitRatingCurve(pairs);
+    if (!fit) return { pairs, fit: null };
+
+    const residuals = ratingResiduals(pairs, fit);
+    let minH = Infinity;
+    let maxH = -Infinity;
+    pairs.forEach(({ h }) => {
+      if (h < minH) minH = h;
+      if (h > maxH) maxH = h;
+    });
+    return {
+      pairs,
+      fit,
+      residuals,
+      inliers: thin(residuals.filter(r => !r.outlier)),
+      outliers: residuals.filter(r => r.outlier),
+      curve: ratingCurvePoints(fit, Math.max(minH, fit.h0), maxH)
+    };
+  }, [data]);
+
+  if (!available) {
+    return (
+      <p className="text-sm text-gray-500">
+        {t('rating.unavailable', { station: stationName })}
+      </p>
+    );
+  }
+  if (error) {
+    return <p className="text-sm text-red-600">{t('rating.error', { message: errorMessage(error) })}</p>;
+  }
+  if (loading || !analysis) {
+    return <p className="text-sm text-gray-500">{t('rating.loading', { station: stationName })}</p>;
+  }
+  if (!analysis.fit) {
+    return (
+      <p className="text-sm text-gray-500">
+        {t('rating.tooFew', { count: analysis.pairs.length })}
+      </p>
+    );
+  }
+
+  const { fit, residuals, inliers, outliers, curve } = analysis;
+  const worst = [...outliers].sort((a, b) => Math.abs(b.residual ?? Infinity) - Math.abs(a.residual ?? Infinity)).slice(0, 20);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-4 rounded-xl border-2 border-blue-200 col-span-2">
+          <div className="text-xs font-semibold text-blue-600 mb-1 uppercase tracking-wide">{t('rating.fitted')}</div>
+          <div className="text-lg font-bold text-blue-700 font-mono">
+            Q = {formatNumber(fit.a, 3)} · (h − {formatNumber(fit.h0, 3)})^{formatNumber(fit.b, 3)}
+          </div>
+          <div className="text-xs text-blue-600 mt-1">{t('rating.units')}</div>
+        </div>
+        <div className="bg-gradient-to-br from-green-50 to-green-100 p-4 rounded-xl border-2 border-green-200">
+          <div className="text-xs font-semibold text-green-600 mb-1 uppercase tracking-wide">R² (log)</div>
+          <div className="text-2xl font-bold text-green-700">{formatNumber(fit.r2, 4)}</div>
+          <div className="text-xs text-green-600 mt-1">{t('rating.pairs', { count: residuals.length })}</div>
+        </div>
+        <div className="bg-gradient-to-br from-red-50 to-red-100 p-4 rounded-xl border-2 border-red-200">
+          <div className="text-xs font-semibold text-red-600 mb-1 uppercase tracking-wide">{t('rating.outliers')}</div>
+          <div className="text-2xl font-bold text-red-700">{outliers.length}</div>
+          <div className="text-xs text-red-600 mt-1">{t('rating.outliers.detail')}</div>
+        </div>
+      </div>
+
+      <div className="bg-gray-50 rounded-xl p-6 border-2 border-gray-200">
+        <h4 className="font-semibold text-gray-800 mb-4">{t('rating.scatter')}</h4>
+        <div className="h-96">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis
+                dataKey="h"
+                type="number"
+                domain={['auto', 'auto']}
+                tick={AXIS_TICK}
+                tickFormatter={(v) => formatNumber(v, 2)}
+                label={{ value: t('rating.stageAxis'), position: 'insideBottom', offset: -5, style: { fill: '#6b7280', fontSize: 12 } }}
+                height={45}
+              />
+              <YAxis
+                dataKey="q"
+                type="number"
+                tick={AXIS_TICK}
+                label={{ value: t('rating.dischargeAxis'), angle: -90, position: 'insideLeft', style: { fill: '#6b7280' } }}
+              />
+              <Tooltip
+                formatter={(value) => (typeof value === 'number' ? formatNumber(value, 3) : value)}
+                contentStyle={TOOLTIP_STYLE}
+              />
+              <Legend />
+              <Scatter data={inliers} dataKey="q" name={t('rating.measurements')} fill="#3b82f6" fillOpacity={0.5} isAnimationActive={false} />
+              <Scatter data={outliers} dataKey="q" name={t('rating.deviation')} fill="#ef4444" isAnimationActive={false} />
+              <Line data={curve} dataKey="fitted" name={t('rating.curve')} stroke="#111827" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="bg-gray-50 rounded-xl p-6 border-2 border-gray-200">
+        <h4 className="font-semibold text-gray-800 mb-1">{t('rating.residualsOverTime')}</h4>
+        <p className="text-xs text-gray-500 mb-4">
+          {t('rating.residualsNote')}
+        </p>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis
+                dataKey="timestamp"
+                type="number"
+                scale="time"
+                domain={['dataMin', 'dataMax']}
+                tickFormatter={formatTick}
+                tick={AXIS_TICK}
+                height={30}
+              />
+              <YAxis dataKey="residual" type="number" tick={AXIS_TICK} tickFormatter={(v) => formatPercent(v / 100)} />
+              <Tooltip
+                labelFormatter={formatTimestamp}
+                formatter={(value) => (typeof value === 'number' ? formatResidual(value) : value)}
+                contentStyle={TOOLTIP_STYLE}
+              />
+              <ReferenceLine y={0} stroke="#6b7280" />
+              <Scatter data={inliers} dataKey="residual" name={t('rating.deviation')} fill="#3b82f6" fillOpacity={0.5} isAnimationActive={false} />
+              <Scatter data={outliers} dataKey="residual" name={t('rating.outlier')} fill="#ef4444" isAnimationActive={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {worst.length > 0 && (
+        <div className="bg-gray-50 rounded-xl p-6 border-2 border-gray-200">
+          <h4 className="font-semibold text-gray-800 mb-4">
+            {t('rating.worst')} {outliers.length > worst.length && t('rating.worstOf', { shown: worst.length, total: outliers.length })}
+          </h4>
+          <table className="w-full text-sm">
+            <thead className="border-b-2 border-gray-200">
+              <tr>
+                <th className="py-2 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">{t('rating.time')}</th>
+                <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">{t('rating.stage')}</th>
+                <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">{t('rating.discharge')}</th>
+                <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">{t('rating.curve')}</th>
+                <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">{t('rating.deviation')}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {worst.map(point => (
+                <tr key={point.time}>
+                  <td className="py-2 text-gray-700">{formatTimestamp(point.timestamp)}</td>
+                  <td className="py-2 text-right font-mono">{formatNumber(point.h, 3)}</td>
+                  <td className="py-2 text-right font-mono">{formatNumber(point.q, 2)}</td>
+                  <td className="py-2 text-right font-mono">{formatNumber(point.fitted, 2)}</td>
+                  <td className="py-2 text-right font-mono font-semibold text-red-700">
+                    {formatResidual(point.residual)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RatingCurvePanel;
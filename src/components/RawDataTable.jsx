@@ -0,0 +1,130 @@
+import React, { useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { QUALITY, CORRECTIONS, qualityInfo } from '../lib/quality';
+import { qualityKey, correctionKey } from '../lib/series';
+import { useI18n } from '../hooks/useI18n';
+
+const ROW_HEIGHT = 45;
+const VIEWPORT_HEIGHT = 320;
+const OVERSCAN = 10;
+// Years of 10-minute values would make the scroll height larger than browsers
+// allow an element to be, so the rows are split into pages.
+const PAGE_SIZE = 10000;
+
+// The table can hold hundreds of thousands of rows, so only the rows in view
+// (plus a margin) are rendered, with spacer rows standing in for the rest.
+function RawDataTable({ series, rows, multiParameter }) {
+  const { t, formatNumber, formatTimestamp, timeZoneName } = useI18n();
+  const [scrollTop, setScrollTop] = useState(0);
+  const [requestedPage, setRequestedPage] = useState(0);
+  const scroller = useRef(null);
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const page = Math.min(requestedPage, pageCount - 1);
+  const pageRows = rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(pageRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const visible = pageRows.slice(first, last);
+
+  const showPage = (next) => {
+    setRequestedPage(next);
+    setScrollTop(0);
+    if (scroller.current) scroller.current.scrollTop = 0;
+  };
+
+  // The quality name, plus the correction when the observation had one.
+  const cellTitle = (row, key) => {
+    const quality = t(`quality.${qualityInfo(row[qualityKey(key)]).code}`);
+    const correction = row[correctionKey(key)];
+    return CORRECTIONS.includes(correction) ? `${quality} · ${t(`correction.${correction}`)}` : quality;
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md overflow-hidden">
+      <div className="bg-gradient-to-r from-gray-50 to-gray-100 p-4 border-b border-gray-200 flex justify-between items-center">
+        <h3 className="font-bold text-lg text-gray-800">
+          {t('table.title')}
+          <span className="ml-2 text-sm font-normal text-gray-500">{t('table.rows', { count: rows.length })}</span>
+        </h3>
+        <div className="flex gap-3 text-xs text-gray-600">
+          {Object.entries(QUALITY).map(([code, info]) => (
+            <span key={code} className="flex items-center gap-1">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: info.color }} />
+              {t(`quality.${info.code}`)}
+            </span>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <div ref={scroller} className="max-h-80 overflow-y-auto" onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+          <table className="w-full">
+            <thead className="bg-gray-100 sticky top-0 border-b-2 border-gray-200">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">{t('table.time', { zone: timeZoneName })}</th>
+                {series.map(s => (
+                  <th key={s.key} className="px-6 py-3 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">
+                    {series.length > 1 ? `${s.stationName} ` : `${t('table.value')} `}
+                    {multiParameter && `${s.parameter} `}({s.unit})
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+              {visible.map(row => (
+                <tr key={row.timestamp} className="hover:bg-blue-50 transition-colors" style={{ height: ROW_HEIGHT }}>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700">
+                    {formatTimestamp(row.timestamp)}
+                  </td>
+                  {series.map(s => (
+                    <td key={s.key} className="px-6 py-3 whitespace-nowrap text-sm text-right font-mono font-semibold text-gray-800">
+                      {s.key in row ? formatNumber(row[s.key], 2) : ''}
+                      {s.key in row && (
+                        <span
+                          className="inline-block w-2 h-2 rounded-full ml-2 align-middle"
+                          style={{ backgroundColor: qualityInfo(row[qualityKey(s.key)]).color }}
+                          title={cellTitle(row, s.key)}
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              {last < pageRows.length && <tr style={{ height: (pageRows.length - last) * ROW_HEIGHT }} />}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      {pageCount > 1 && (
+        <div className="flex items-center justify-end gap-2 p-3 border-t border-gray-200 text-sm text-gray-600">
+          <button
+            onClick={() => showPage(page - 1)}
+            disabled={page === 0}
+            className="p-1 rounded-lg border-2 border-gray-200 bg-white hover:border-gray-300 disabled:opacity-50"
+            title={t('table.previous')}
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span>
+            {t('table.page', {
+              from: page * PAGE_SIZE + 1,
+              to: page * PAGE_SIZE + pageRows.length,
+              count: rows.length
+            })}
+          </span>
+          <button
+            onClick={() => showPage(page + 1)}
+            disabled={page === pageCount - 1}
+            className="p-1 rounded-lg border-2 border-gray-200 bg-white hover:border-gray-300 disabled:opacity-50"
+            title={t('table.next')}
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RawDataTable;
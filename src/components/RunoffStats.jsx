@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { ComposedChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { useI18n } from '../hooks/useI18n';
+
+const MILLION = 1e6;
+
+// Runoff cards for a discharge series, next to its other stats, with a table
+// per hydrological year and the cumulative volume curve on demand.
+function RunoffStats({ runoff, formatTick }) {
+  const { t, formatNumber, formatPercent, formatTimestamp } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+  const incomplete = runoff.coverage < 0.95;
+  const formatMillions = (volume) => formatNumber(volume / MILLION, volume < 10 * MILLION ? 3 : 2);
+
+  return (
+    <div className="mt-4 space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-gradient-to-br from-cyan-50 to-cyan-100 p-4 rounded-xl border-2 border-cyan-200">
+          <div className="text-xs font-semibold text-cyan-600 mb-1 uppercase tracking-wide">{t('runoff.volume')}</div>
+          <div className="text-2xl font-bold text-cyan-700">{formatMillions(runoff.volume)}</div>
+          <div className="text-xs text-cyan-600 mt-1">
+            {t('unit.millionCubicMetres')}{incomplete && ` · ${t('runoff.coverage', { percent: formatPercent(runoff.coverage) })}`}
+          </div>
+        </div>
+        <div className="bg-gradient-to-br from-sky-50 to-sky-100 p-4 rounded-xl border-2 border-sky-200">
+          <div className="text-xs font-semibold text-sky-600 mb-1 uppercase tracking-wide">{t('runoff.specific')}</div>
+          <div className="text-2xl font-bold text-sky-700">{formatNumber(runoff.specificRunoff, 1)}</div>
+          <div className="text-xs text-sky-600 mt-1">l/s·km²</div>
+        </div>
+        <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-4 rounded-xl border-2 border-indigo-200">
+          <div className="text-xs font-semibold text-indigo-600 mb-1 uppercase tracking-wide">{t('runoff.depth')}</div>
+          <div className="text-2xl font-bold text-indigo-700">{formatNumber(runoff.depth, 0)}</div>
+          <div className="text-xs text-indigo-600 mt-1">
+            mm{runoff.area ? ` ${t('runoff.overArea', { area: runoff.area })}` : ` · ${t('runoff.unknownArea')}`}
+          </div>
+        </div>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="bg-gradient-to-br from-gray-50 to-gray-100 p-4 rounded-xl border-2 border-gray-200 text-left hover:border-cyan-300 transition-colors"
+        >
+          <div className="text-xs font-semibold text-gray-600 mb-1 uppercase tracking-wide">{t('runoff.years')}</div>
+          <div className="text-2xl font-bold text-gray-700">{runoff.years.length}</div>
+          <div className="text-xs text-gray-600 mt-1">{expanded ? t('runoff.hide') : t('runoff.show')}</div>
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="grid md:grid-cols-2 gap-4">
+          <div className="bg-gray-50 rounded-xl p-4 border-2 border-gray-200 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="border-b-2 border-gray-200">
+                <tr>
+                  <th className="py-2 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">{t('runoff.yearColumn')}</th>
+                  <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">{t('runoff.volumeColumn')}</th>
+                  <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">{t('runoff.meanColumn')}</th>
+                  <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">l/s·km²</th>
+                  <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">mm</th>
+                  <th className="py-2 text-right text-xs font-bold text-gray-700 uppercase tracking-wider">{t('runoff.coverageColumn')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {runoff.years.map(year => (
+                  <tr key={year.year} className={year.coverage < 0.95 ? 'text-gray-400' : 'text-gray-800'}>
+                    <td className="py-1.5">{year.label}</td>
+                    <td className="py-1.5 text-right font-mono">{formatMillions(year.volume)}</td>
+                    <td className="py-1.5 text-right font-mono">{formatNumber(year.meanDischarge, 2)}</td>
+                    <td className="py-1.5 text-right font-mono">{formatNumber(year.specificRunoff, 1)}</td>
+                    <td className="py-1.5 text-right font-mono">{formatNumber(year.depth, 0)}</td>
+                    <td className="py-1.5 text-right font-mono">{formatPercent(year.coverage)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              {t('runoff.incompleteNote')}
+            </p>
+          </div>
+          <div className="bg-gray-50 rounded-xl p-4 border-2 border-gray-200">
+            <div className="text-sm font-semibold text-gray-700 mb-2">{t('runoff.cumulative')}</div>
+            <div className="h-56">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={runoff.cumulative.map(p => ({ timestamp: p.timestamp, volume: p.volume / MILLION }))}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis
+                    dataKey="timestamp"
+                    type="number"
+                    scale="time"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={formatTick}
+                    minTickGap={40}
+                    tick={{ fontSize: 10, fill: '#6b7280' }}
+                    height={24}
+                  />
+                  <YAxis tick={{ fontSize: 11, fill: '#6b7280' }} width={50} />
+                  <Tooltip
+                    labelFormatter={formatTimestamp}
+                    formatter={(value) => [`${formatNumber(value, 3)} ${t('unit.millionCubicMetres')}`, t('runoff.volumeShort')]}
+                    contentStyle={{
+                      backgroundColor: 'white',
+                      border: '2px solid #06b6d4',
+                      borderRadius: '8px',
+                      boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+                    }}
+                  />
+                  {runoff.years.slice(1).map(year => (
+                    <ReferenceLine key={year.year} x={Date.UTC(year.year, 8, 1)} stroke="#9ca3af" strokeDasharray="4 4" />
+                  ))}
+                  <Area dataKey="volume" stroke="#0891b2" fill="#67e8f9" fillOpacity={0.4} isAnimationActive={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RunoffStats;
@@ -0,0 +1,173 @@
+import React, { useMemo, useState } from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronUp } from 'lucide-react';
+import { PARAMETERS } from '../lib/parameters';
+import {
+  EMPTY_FILTERS,
+  REGULATION_OPTIONS,
+  STATUS_OPTIONS,
+  filterOptions,
+  activeFilterCount
+} from '../lib/stationFilters';
+import { useI18n } from '../hooks/useI18n';
+
+const INPUT_CLASS = 'w-full px-2 py-1.5 text-sm border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all outline-none';
+
+function StationFilters({ stations, filters, onChange }) {
+  const { t, parameterName } = useI18n();
+  const [open, setOpen] = useState(false);
+  const options = useMemo(() => filterOptions(stations), [stations]);
+  const count = activeFilterCount(filters);
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const toggleParameter = (id) => update({
+    parameters: filters.parameters.includes(id)
+      ? filters.parameters.filter(p => p !== id)
+      : [...filters.parameters, id]
+  });
+
+  return (
+    <div className="border-2 border-gray-200 rounded-lg mt-3">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between px-3 py-2 text-sm font-semibold text-gray-700 hover:bg-gray-50"
+      >
+        <span className="flex items-center gap-2">
+          <SlidersHorizontal className="w-4 h-4 text-blue-600" />
+          {t('filters.title')}
+          {count > 0 && (
+            <span className="bg-blue-600 text-white text-xs px-2 py-0.5 rounded-full">{count}</span>
+          )}
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="p-3 space-y-3 border-t border-gray-200">
+          <div>
+            <label className="block text-xs font-semibold text-gray-600 mb-1">{t('filters.county')}</label>
+            <select
+              value={filters.county}
+              onChange={(e) => update({ county: e.target.value, council: '' })}
+              className={INPUT_CLASS}
+            >
+              <option value="">{t('filters.allCounties')}</option>
+              {options.counties.map(county => (
+                <option key={county} value={county}>{county}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-600 mb-1">{t('filters.council')}</label>
+            <select
+              value={filters.council}
+              onChange={(e) => update({ council: e.target.value })}
+              className={INPUT_CLASS}
+            >
+              <option value="">{t('filters.allCouncils')}</option>
+              {options.councils(filters.county).map(council => (
+                <option key={council} value={council}>{council}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-600 mb-1">{t('filters.area')}</label>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                min="0"
+                value={filters.areaMin}
+                onChange={(e) => update({ areaMin: e.target.value })}
+                placeholder={t('filters.from')}
+                className={INPUT_CLASS}
+              />
+              <span className="text-gray-400">–</span>
+              <input
+                type="number"
+                min="0"
+                value={filters.areaMax}
+                onChange={(e) => update({ areaMax: e.target.value })}
+                placeholder={t('filters.to')}
+                className={INPUT_CLASS}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">{t('filters.regulation')}</label>
+              <select
+                value={filters.regulated}
+                onChange={(e) => update({ regulated: e.target.value })}
+                className={INPUT_CLASS}
+              >
+                {REGULATION_OPTIONS.map(id => (
+                  <option key={id} value={id}>{t(`filters.regulation.${id}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">{t('filters.status')}</label>
+              <select
+                value={filters.status}
+                onChange={(e) => update({ status: e.target.value })}
+                className={INPUT_CLASS}
+              >
+                {STATUS_OPTIONS.map(id => (
+                  <option key={id} value={id}>{t(`filters.status.${id}`)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-600 mb-1">{t('filters.parameters')}</label>
+            <div className="flex flex-wrap gap-1">
+              {PARAMETERS.map(p => (
+                <button
+                  key={p.id}
+                  onClick={() => toggleParameter(p.id)}
+                  className={`text-xs px-2 py-1 rounded-full border transition-all ${
+                    filters.parameters.includes(p.id)
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'bg-white border-gray-300 text-gray-700 hover:border-blue-400'
+                  }`}
+                >
+                  {parameterName(p.id)}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-600 mb-1">{t('filters.years')}</label>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                value={filters.fromYear}
+                onChange={(e) => update({ fromYear: e.target.value })}
+                placeholder={t('filters.from')}
+                className={INPUT_CLASS}
+              />
+              <span className="text-gray-400">–</span>
+              <input
+                type="number"
+                value={filters.toYear}
+                onChange={(e) => update({ toYear: e.target.value })}
+                placeholder={t('filters.to')}
+                className={INPUT_CLASS}
+              />
+            </div>
+          </div>
+          {count > 0 && (
+            <button
+              onClick={() => onChange(EMPTY_FILTERS)}
+              className="w-full text-xs text-gray-500 hover:text-red-600 transition-colors"
+            >
+              {t('filters.reset')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StationFilters;
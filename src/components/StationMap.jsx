@@ -0,0 +1,187 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Map as MapIcon, Square, Pentagon, X } from 'lucide-react';
+import norway from '../assets/norway.json';
+import { stationCoordinates, boundsOf, createProjection, geometryToPath } from '../lib/geo';
+import { useI18n } from '../hooks/useI18n';
+
+const WIDTH = 500;
+const HEIGHT = 500;
+
+const outlinePoints = norway.geometry.coordinates.flat(2);
+
+function StationMap({ stations, visibleStations, colorFor, onSelect, area, onAreaChange }) {
+  const { t } = useI18n();
+  const svgRef = useRef(null);
+  const [mode, setMode] = useState('none');
+  const [draft, setDraft] = useState([]);
+  const [cursor, setCursor] = useState(null);
+
+  // The frame follows the full catalogue, not the filtered list, so the map
+  // does not jump around while the user searches.
+  const projection = useMemo(() => {
+    const stationPoints = stations.map(stationCoordinates).filter(Boolean);
+    return createProjection(boundsOf([...outlinePoints, ...stationPoints]), WIDTH, HEIGHT);
+  }, [stations]);
+
+  const outlinePath = useMemo(() => geometryToPath(norway.geometry, projection.project), [projection]);
+
+  const markers = useMemo(() => visibleStations
+    .map(station => {
+      const coordinates = stationCoordinates(station);
+      return coordinates && { station, point: projection.project(coordinates) };
+    })
+    .filter(Boolean), [visibleStations, projection]);
+
+  const toSvgPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return [x, y];
+  };
+
+  const finishArea = (points) => {
+    setMode('none');
+    setDraft([]);
+    setCursor(null);
+    if (points.length >= 3) {
+      onAreaChange(points.map(projection.invert));
+    }
+  };
+
+  const startDrawing = (nextMode) => {
+    setMode(mode === nextMode ? 'none' : nextMode);
+    setDraft([]);
+    setCursor(null);
+  };
+
+  const handlePointerDown = (event) => {
+    if (mode !== 'rectangle') return;
+    const point = toSvgPoint(event);
+    setDraft([point]);
+    setCursor(point);
+  };
+
+  const handlePointerMove = (event) => {
+    if (mode === 'none') return;
+    setCursor(toSvgPoint(event));
+  };
+
+  const handlePointerUp = (event) => {
+    if (mode !== 'rectangle' || !draft.length) return;
+    const [x0, y0] = draft[0];
+    const [x1, y1] = toSvgPoint(event);
+    if (Math.abs(x1 - x0) < 3 || Math.abs(y1 - y0) < 3) {
+      setDraft([]);
+      return;
+    }
+    finishArea([[x0, y0], [x1, y0], [x1, y1], [x0, y1]]);
+  };
+
+  const handleClick = (event) => {
+    if (mode !== 'polygon') return;
+    setDraft(prev => [...prev, toSvgPoint(event)]);
+  };
+
+  // The two clicks that make up the double-click have already added the
+  // closing vertex twice; drop the duplicate before finishing.
+  const handleDoubleClick = () => {
+    if (mode !== 'polygon') return;
+    finishArea(draft.slice(0, -1));
+  };
+
+  const draftPoints = mode === 'rectangle' && draft.length && cursor
+    ? [draft[0], [cursor[0], draft[0][1]], cursor, [draft[0][0], cursor[1]]]
+    : cursor ? [...draft, cursor] : draft;
+
+  const areaPath = area && `M${area.map(p => projection.project(p).map(v => v.toFixed(1)).join(',')).join('L')}Z`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-md overflow-hidden">
+      <div className="bg-gradient-to-r from-blue-50 to-blue-100 p-4 border-b border-blue-200 flex justify-between items-center">
+        <h2 className="font-bold text-lg text-gray-800 flex items-center gap-2">
+          <MapIcon className="w-5 h-5 text-blue-600" />
+          {t('map.title')}
+        </h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => startDrawing('rectangle')}
+            className={`p-2 rounded-lg border-2 transition-all ${mode === 'rectangle' ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-200 text-gray-600 hover:border-gray-300'}`}
+            title={t('map.rectangle')}
+          >
+            <Square className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => startDrawing('polygon')}
+            className={`p-2 rounded-lg border-2 transition-all ${mode === 'polygon' ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-200 text-gray-600 hover:border-gray-300'}`}
+            title={t('map.polygon')}
+          >
+            <Pentagon className="w-4 h-4" />
+          </button>
+          {area && (
+            <button
+              onClick={() => onAreaChange(null)}
+              className="flex items-center gap-1 px-3 py-2 rounded-lg border-2 border-gray-200 bg-white text-sm text-gray-600 hover:border-red-300 hover:text-red-600 transition-all"
+            >
+              <X className="w-4 h-4" />
+              {t('map.clearArea')}
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="p-4">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className={`w-full max-h-[32rem] select-none ${mode === 'none' ? '' : 'cursor-crosshair'}`}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onClick={handleClick}
+          onDoubleClick={handleDoubleClick}
+        >
+          <rect width={WIDTH} height={HEIGHT} fill="#eff6ff" />
+          <path d={outlinePath} fill="#f9fafb" stroke="#9ca3af" strokeWidth={0.75} />
+          {areaPath && <path d={areaPath} fill="#3b82f6" fillOpacity={0.08} stroke="#3b82f6" strokeDasharray="4 3" />}
+          {markers.map(({ station, point }) => {
+            const color = colorFor(station.stationId);
+            return (
+              <circle
+                key={station.stationId}
+                cx={point[0]}
+                cy={point[1]}
+                r={color ? 5 : 2.5}
+                fill={color || '#1d4ed8'}
+                fillOpacity={color ? 1 : 0.6}
+                stroke={color ? 'white' : 'none'}
+                strokeWidth={1.5}
+                className={mode === 'none' ? 'cursor-pointer' : 'pointer-events-none'}
+                onClick={() => mode === 'none' && onSelect(station)}
+              >
+                <title>{`${station.stationName} (${station.stationId})`}</title>
+              </circle>
+            );
+          })}
+          {draftPoints.length > 1 && (
+            <polygon
+              points={draftPoints.map(p => p.join(',')).join(' ')}
+              fill="#3b82f6"
+              fillOpacity={0.1}
+              stroke="#3b82f6"
+              strokeWidth={1.5}
+              className="pointer-events-none"
+            />
+          )}
+        </svg>
+        <div className="text-xs text-gray-500 mt-2">
+          {t('map.shown', { count: markers.length })}
+          {mode === 'polygon' && ` · ${t('map.polygonHint')}`}
+          {mode === 'rectangle' && ` · ${t('map.rectangleHint')}`}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default StationMap;
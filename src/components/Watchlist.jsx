@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { Bell, BellRing, RefreshCw, Trash2, X } from 'lucide-react';
+import { PARAMETERS } from '../lib/parameters';
+import { POLL_INTERVAL_MS, statusKey, evaluateThreshold } from '../lib/watchlist';
+import { useI18n } from '../hooks/useI18n';
+
+const STATE_STYLES = {
+  above: 'bg-red-100 text-red-700 border-red-200',
+  below: 'bg-orange-100 text-orange-700 border-orange-200',
+  ok: 'bg-green-100 text-green-700 border-green-200',
+};
+
+const parseLimit = (value) => (value === '' ? null : Number(value));
+
+function Watchlist({ watchlist, onOpenStation }) {
+  const { t, formatNumber, formatTimestamp, formatTime, parameterName, parameterLabel } = useI18n();
+  const { entries, statuses, alerts, polling, lastPoll, poll, addStation, removeStation, setThreshold, removeParameter, clearAlerts } = watchlist;
+  const [permission, setPermission] = useState(() => ('Notification' in window ? Notification.permission : 'unsupported'));
+  const [showAllAlerts, setShowAllAlerts] = useState(false);
+
+  const requestPermission = async () => {
+    setPermission(await Notification.requestPermission());
+  };
+
+  if (!entries.length) return null;
+
+  const visibleAlerts = showAllAlerts ? alerts : alerts.slice(0, 5);
+
+  return (
+    <div className="bg-white rounded-xl shadow-md overflow-hidden">
+      <div className="bg-gradient-to-r from-amber-50 to-amber-100 p-4 border-b border-amber-200 flex justify-between items-center gap-4">
+        <div>
+          <h2 className="font-bold text-lg text-gray-800 flex items-center gap-2">
+            <BellRing className="w-5 h-5 text-amber-600" />
+            {t('watchlist.title')}
+          </h2>
+          <p className="text-xs text-gray-600 mt-1">
+            {lastPoll ? t('watchlist.lastPoll', { time: formatTime(lastPoll) }) : t('watchlist.notPolled')}
+            {' · '}{t('watchlist.interval', { minutes: POLL_INTERVAL_MS / 60000 })}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {permission === 'default' && (
+            <button
+              onClick={requestPermission}
+              className="flex items-center gap-1 px-3 py-2 rounded-lg border-2 border-amber-300 bg-white text-sm text-amber-700 hover:bg-amber-50 transition-all"
+            >
+              <Bell className="w-4 h-4" />
+              {t('watchlist.enableNotifications')}
+            </button>
+          )}
+          <button
+            onClick={poll}
+            disabled={polling}
+            className="flex items-center gap-1 px-3 py-2 rounded-lg border-2 border-gray-200 bg-white text-sm text-gray-700 hover:border-gray-300 disabled:opacity-50 transition-all"
+          >
+            <RefreshCw className={`w-4 h-4 ${polling ? 'animate-spin' : ''}`} />
+            {t('watchlist.pollNow')}
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {entries.map(entry => (
+          <div key={entry.stationId} className="border-2 border-gray-200 rounded-lg overflow-hidden">
+            <div className="flex justify-between items-center bg-gray-50 px-4 py-2 border-b border-gray-200">
+              <button
+                onClick={() => onOpenStation(entry.stationId)}
+                className="font-semibold text-sm text-gray-800 hover:text-blue-600 text-left"
+              >
+                {entry.stationName} <span className="font-mono text-xs text-gray-500">{entry.stationId}</span>
+              </button>
+              <div className="flex items-center gap-2">
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && addStation(entry, e.target.value)}
+                  className="text-xs px-2 py-1 border-2 border-gray-200 rounded-lg outline-none"
+                >
+                  <option value="">{t('watchlist.addParameter')}</option>
+                  {PARAMETERS.filter(p => !entry.thresholds[p.id]).map(p => (
+                    <option key={p.id} value={p.id}>{parameterName(p.id)}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => removeStation(entry.stationId)}
+                  className="text-gray-400 hover:text-red-600 transition-colors"
+                  title={t('watchlist.removeStation')}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500 uppercase tracking-wider">
+                  <th className="px-4 py-2 text-left">{t('watchlist.parameter')}</th>
+                  <th className="px-4 py-2 text-right">{t('watchlist.latest')}</th>
+                  <th className="px-4 py-2 text-right">{t('watchlist.lower')}</th>
+                  <th className="px-4 py-2 text-right">{t('watchlist.upper')}</th>
+                  <th className="px-4 py-2 text-left">{t('watchlist.status')}</th>
+                  <th className="px-2 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {Object.entries(entry.thresholds).map(([parameter, threshold]) => {
+                  const status = statuses[statusKey(entry.stationId, parameter)];
+                  const state = evaluateThreshold(status?.value, threshold);
+                  const style = STATE_STYLES[state];
+                  return (
+                    <tr key={parameter}>
+                      <td className="px-4 py-2 text-gray-700">{parameterLabel(parameter)}</td>
+                      <td className="px-4 py-2 text-right font-mono">
+                        {formatNumber(status?.value, 2)}
+                        {status?.time && (
+                          <div className="text-xs text-gray-400 font-sans">{formatTimestamp(status.time)}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        <input
+                          type="number"
+                          step="any"
+                          value={threshold.lower ?? ''}
+                          onChange={(e) => setThreshold(entry.stationId, parameter, { lower: parseLimit(e.target.value) })}
+                          className="w-24 px-2 py-1 border-2 border-gray-200 rounded-lg text-right outline-none focus:border-amber-400"
+                        />
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        <input
+                          type="number"
+                          step="any"
+                          value={threshold.upper ?? ''}
+                          onChange={(e) => setThreshold(entry.stationId, parameter, { upper: parseLimit(e.target.value) })}
+                          className="w-24 px-2 py-1 border-2 border-gray-200 rounded-lg text-right outline-none focus:border-amber-400"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        {status?.error && <span className="text-xs text-red-600">{status.error}</span>}
+                        {!status?.error && style && (
+                          <span className={`text-xs font-semibold px-2 py-1 rounded-full border ${style}`}>{t(`watchlist.state.${state}`)}</span>
+                        )}
+                        {!status?.error && !style && <span className="text-xs text-gray-400">{t('watchlist.noData')}</span>}
+                      </td>
+                      <td className="px-2 py-2 text-right">
+                        <button
+                          onClick={() => removeParameter(entry.stationId, parameter)}
+                          className="text-gray-400 hover:text-red-600 transition-colors"
+                          title={t('watchlist.removeParameter')}
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ))}
+
+        {alerts.length > 0 && (
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="font-semibold text-sm text-gray-700">{t('watchlist.alerts')}</h3>
+              <button onClick={clearAlerts} className="text-xs text-gray-500 hover:text-red-600">{t('watchlist.clearAlerts')}</button>
+            </div>
+            <ul className="space-y-1 text-sm">
+              {visibleAlerts.map(alert => (
+                <li key={alert.id} className="flex justify-between gap-4 bg-gray-50 px-3 py-2 rounded-lg">
+                  <span className="text-gray-700">
+                    <span className={alert.direction === 'above' ? 'text-red-600' : 'text-orange-600'}>●</span>{' '}
+                    {alert.stationName}: {t(`watchlist.alert.${alert.direction}`, {
+                      parameter: parameterLabel(alert.parameter),
+                      value: formatNumber(alert.value, 2),
+                      threshold: alert.threshold
+                    })}
+                  </span>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">{formatTimestamp(alert.firedAt)}</span>
+                </li>
+              ))}
+            </ul>
+            {alerts.length > 5 && (
+              <button
+                onClick={() => setShowAllAlerts(!showAllAlerts)}
+                className="text-xs text-blue-600 hover:text-blue-800 mt-2"
+              >
+                {showAllAlerts ? t('watchlist.showFewer') : t('watchlist.showAll', { count: alerts.length })}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Watchlist;
@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useState } from 'react';
+import { loadJSON, saveJSON } from '../lib/storage';
+
+// Event markers with a short text, kept per station in localStorage as
+// { [stationId]: [{ id, time, text }] } sorted by time.
+export const useAnnotations = () => {
+  const [annotations, setAnnotations] = useState(() => loadJSON('annotations', {}));
+
+  useEffect(() => saveJSON('annotations', annotations), [annotations]);
+
+  const addAnnotation = useCallback((stationId, time, text) => {
+    const annotation = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, time, text };
+    setAnnotations(prev => ({
+      ...prev,
+      [stationId]: [...(prev[stationId] || []), annotation].sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+    }));
+  }, []);
+
+  const removeAnnotation = useCallback((stationId, id) => {
+    setAnnotations(prev => {
+      const remaining = (prev[stationId] || []).filter(a => a.id !== id);
+      const next = { ...prev };
+      if (remaining.length) {
+        next[stationId] = remaining;
+      } else {
+        delete next[stationId];
+      }
+      return next;
+    });
+  }, []);
+
+  return { annotations, addAnnotation, removeAnnotation };
+};
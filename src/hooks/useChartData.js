@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { runTask } from '../lib/seriesWorker';
+
+// Stats and downsampled observations for the given series, plus a coarser
+// copy of the whole period for the navigator, computed in the series worker.
+// Until the first result arrives it returns null; after that it keeps the
+// previous result while a newer one is being computed, so the chart does not
+// flash empty on every change.
+export const useChartData = (series, { approvedOnly, domain, threshold = 1500, overviewThreshold = 400 }) => {
+  const [result, setResult] = useState(null);
+  const from = domain?.[0];
+  const to = domain?.[1];
+
+  useEffect(() => {
+    let cancelled = false;
+    runTask('prepare', {
+      series: series.map(({ key, parameterId, aggregation, drainageArea, observations, overviewObservations }) => (
+        { key, parameterId, aggregation, drainageArea, observations, overviewObservations }
+      )),
+      approvedOnly,
+      domain: from === undefined ? null : [from, to],
+      threshold,
+      overviewThreshold
+    })
+      .then(prepared => {
+        if (!cancelled) setResult(new Map(prepared.map(r => [r.key, r])));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [series, approvedOnly, from, to, threshold, overviewThreshold]);
+
+  return result;
+};
@@ -0,0 +1,39 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { loadJSON, saveJSON } from '../lib/storage';
+import { LANGUAGES, TIME_ZONES, DEFAULT_TIME_ZONE, createI18n, detectLanguage } from '../lib/i18n';
+
+export const I18nContext = createContext(createI18n(detectLanguage(), DEFAULT_TIME_ZONE));
+
+// The i18n object from createI18n, plus setLanguage and setTimeZone inside a
+// LocaleProvider.
+export const useI18n = () => useContext(I18nContext);
+
+// Language and time zone for the whole app. Until the user picks something,
+// the language follows the browser; a choice is kept in localStorage.
+export const useLocaleSettings = () => {
+  const [settings, setSettings] = useState(() => {
+    const stored = loadJSON('locale', {});
+    return {
+      language: LANGUAGES.some(l => l.id === stored.language) ? stored.language : detectLanguage(),
+      timeZone: TIME_ZONES.includes(stored.timeZone) ? stored.timeZone : DEFAULT_TIME_ZONE
+    };
+  });
+
+  useEffect(() => {
+    document.documentElement.lang = settings.language;
+  }, [settings.language]);
+
+  const update = useCallback((changes) => {
+    setSettings(prev => {
+      const next = { ...prev, ...changes };
+      saveJSON('locale', next);
+      return next;
+    });
+  }, []);
+
+  return useMemo(() => ({
+    ...createI18n(settings.language, settings.timeZone),
+    setLanguage: (language) => update({ language }),
+    setTimeZone: (timeZone) => update({ timeZone })
+  }), [settings.language, settings.timeZone, update]);
+};
@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+import { runTask } from '../lib/seriesWorker';
+
+// Full-resolution rows for the raw data table, merged in the series worker.
+// The previous rows stay until the new ones arrive.
+export const useMergedRows = (series) => {
+  const [rows, setRows] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    runTask('merge', {
+      series: series.map(({ stationId, parameterId, observations }) => ({ stationId, parameterId, observations }))
+    })
+      .then(result => {
+        if (!cancelled) setRows(result);
+      })
+      .catch(() => {
+        if (!cancelled) setRows([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [series]);
+
+  return rows;
+};
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { fetchObservationsCached } from '../lib/cache';
+import { hasCredentials, isAbortError } from '../lib/hydapi';
+
+export const STAGE = '1000';
+export const DISCHARGE = '1001';
+
+// Fetches water level and discharge for one station over the same period, for
+// the rating curve view. Returns null until both have arrived.
+export const useStageDischarge = (apiKey, { stationId, from, to, resolutionTime }) => {
+  const [state, setState] = useState({ key: null, data: null, error: null });
+  const key = stationId && from && to ? `${stationId}|${from}|${to}|${resolutionTime}` : null;
+
+  useEffect(() => {
+    if (!key || !hasCredentials(apiKey)) return;
+
+    const controller = new AbortController();
+    const load = (parameter) => fetchObservationsCached(apiKey, {
+      stationId,
+      parameter,
+      resolutionTime,
+      from,
+      to
+    }, { signal: controller.signal });
+
+    Promise.all([load(STAGE), load(DISCHARGE)])
+      .then(([stage, discharge]) => {
+        setState({
+          key,
+          data: { stage: stage?.observations || [], discharge: discharge?.observations || [] },
+          error: null
+        });
+      })
+      .catch(err => {
+        if (!isAbortError(err)) setState({ key, data: null, error: err });
+      });
+
+    return () => controller.abort();
+  }, [apiKey, key, stationId, from, to, resolutionTime]);
+
+  const current = state.key === key ? state : null;
+  return {
+    data: current?.data || null,
+    error: current?.error || null,
+    loading: Boolean(key) && !current
+  };
+};
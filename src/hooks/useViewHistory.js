@@ -0,0 +1,28 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { parseViewState, serializeViewState } from '../lib/urlState';
+
+// Keeps the view in the query string. navigate() records a view (pushing a
+// history entry unless replace is set); onPop is called with the parsed view
+// when the user steps back or forward.
+export const useViewHistory = (onPop) => {
+  const handler = useRef(onPop);
+  useEffect(() => {
+    handler.current = onPop;
+  });
+
+  useEffect(() => {
+    const listener = () => handler.current(parseViewState(window.location.search));
+    window.addEventListener('popstate', listener);
+    return () => window.removeEventListener('popstate', listener);
+  }, []);
+
+  return useCallback((view, { replace = false } = {}) => {
+    const url = `${window.location.pathname}?${serializeViewState(view)}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, []);
+};
@@ -0,0 +1,168 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchObservations, hasCredentials } from '../lib/hydapi';
+import { loadJSON, saveJSON } from '../lib/storage';
+import {
+  POLL_INTERVAL_MS,
+  MAX_ALERTS,
+  statusKey,
+  evaluateThreshold,
+  latestValue,
+  latestReferenceTime,
+  watchTargets
+} from '../lib/watchlist';
+
+const notify = (alert, { t, formatNumber, parameterLabel }) => {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  new Notification(`${alert.stationName}: ${parameterLabel(alert.parameter)}`, {
+    body: t(`watchlist.notification.${alert.direction}`, { value: formatNumber(alert.value, 2), threshold: alert.threshold }),
+    tag: statusKey(alert.stationId, alert.parameter)
+  });
+};
+
+// i18n (from useLocaleSettings) words the notifications and poll errors.
+export const useWatchlist = (apiKey, i18n) => {
+  const [entries, setEntries] = useState(() => loadJSON('watchlist', []));
+  const [statuses, setStatuses] = useState(() => loadJSON('watch-status', {}));
+  const [alerts, setAlerts] = useState(() => loadJSON('alerts', []));
+  const [polling, setPolling] = useState(false);
+  const [lastPoll, setLastPoll] = useState(null);
+
+  useEffect(() => saveJSON('watchlist', entries), [entries]);
+  useEffect(() => saveJSON('watch-status', statuses), [statuses]);
+  useEffect(() => saveJSON('alerts', alerts), [alerts]);
+
+  // The poller reads thresholds through refs so editing a limit does not
+  // restart the timer or trigger a refetch.
+  const entriesRef = useRef(entries);
+  const statusesRef = useRef(statuses);
+  const i18nRef = useRef(i18n);
+  useEffect(() => {
+    entriesRef.current = entries;
+    statusesRef.current = statuses;
+    i18nRef.current = i18n;
+  }, [entries, statuses, i18n]);
+
+  const poll = useCallback(async () => {
+    const targets = watchTargets(entriesRef.current);
+    if (!hasCredentials(apiKey) || !targets.length) return;
+
+    setPolling(true);
+    const referenceTime = latestReferenceTime();
+    const results = await Promise.allSettled(targets.map(({ entry, parameter }) =>
+      fetchObservations(apiKey, { stationId: entry.stationId, parameter, resolutionTime: '0', referenceTime })
+    ));
+
+    const checkedAt = new Date().toISOString();
+    const nextStatuses = { ...statusesRef.current };
+    const fired = [];
+
+    results.forEach((result, i) => {
+      const { entry, parameter } = targets[i];
+      const key = statusKey(entry.stationId, parameter);
+      const previous = nextStatuses[key];
+
+      if (result.status === 'rejected') {
+        nextStatuses[key] = { ...previous, checkedAt, error: i18nRef.current.errorMessage(result.reason) };
+        return;
+      }
+
+      const latest = latestValue(result.value?.observations || []);
+      const threshold = entry.thresholds[parameter];
+      const state = evaluateThreshold(latest?.value, threshold);
+      nextStatuses[key] = {
+        value: latest?.value ?? null,
+        time: latest?.time ?? null,
+        unit: result.value?.unit,
+        state,
+        checkedAt,
+        error: null
+      };
+
+      if ((state === 'above' || state === 'below') && previous?.state !== state) {
+        fired.push({
+          id: `${key}|${checkedAt}`,
+          firedAt: checkedAt,
+          stationId: entry.stationId,
+          stationName: entry.stationName,
+          parameter,
+          value: latest.value,
+          time: latest.time,
+          direction: state,
+          threshold: state === 'above' ? threshold.upper : threshold.lower
+        });
+      }
+    });
+
+    setStatuses(nextStatuses);
+    setLastPoll(checkedAt);
+    if (fired.length) {
+      fired.forEach(alert => notify(alert, i18nRef.current));
+      setAlerts(prev => [...fired, ...prev].slice(0, MAX_ALERTS));
+    }
+    setPolling(false);
+  }, [apiKey]);
+
+  const targetSignature = watchTargets(entries).map(({ entry, parameter }) => statusKey(entry.stationId, parameter)).join(',');
+
+  useEffect(() => {
+    if (!hasCredentials(apiKey) || !targetSignature) return;
+
+    poll();
+    const id = setInterval(poll, POLL_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [apiKey, targetSignature, poll]);
+
+  const addStation = (station, parameter) => {
+    setEntries(prev => {
+      const existing = prev.find(e => e.stationId === station.stationId);
+      if (existing) {
+        if (existing.thresholds[parameter]) return prev;
+        return prev.map(e => e === existing
+          ? { ...e, thresholds: { ...e.thresholds, [parameter]: { upper: null, lower: null } } }
+          : e);
+      }
+      return [...prev, {
+        stationId: station.stationId,
+        stationName: station.stationName,
+        thresholds: { [parameter]: { upper: null, lower: null } }
+      }];
+    });
+  };
+
+  const removeStation = (stationId) => {
+    setEntries(prev => prev.filter(e => e.stationId !== stationId));
+  };
+
+  const setThreshold = (stationId, parameter, threshold) => {
+    setEntries(prev => prev.map(e => e.stationId === stationId
+      ? { ...e, thresholds: { ...e.thresholds, [parameter]: { ...e.thresholds[parameter], ...threshold } } }
+      : e));
+  };
+
+  const removeParameter = (stationId, parameter) => {
+    setEntries(prev => prev
+      .map(e => {
+        if (e.stationId !== stationId) return e;
+        const thresholds = { ...e.thresholds };
+        delete thresholds[parameter];
+        return { ...e, thresholds };
+      })
+      .filter(e => Object.keys(e.thresholds).length));
+  };
+
+  const clearAlerts = () => setAlerts([]);
+
+  return {
+    entries,
+    statuses,
+    alerts,
+    polling,
+    lastPoll,
+    poll,
+    addStation,
+    removeStation,
+    setThreshold,
+    removeParameter,
+    clearAlerts
+  };
+};
@@ -0,0 +1,262 @@
+import { hasValue } from './quality';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EULER_GAMMA = 0.5772156649;
+
+export const RETURN_PERIODS = [2, 5, 10, 20, 50, 100, 200];
+
+// Flow duration curve: the share of time each value is equalled or exceeded,
+// using the Weibull plotting position i / (n + 1). Long records are thinned to
+// at most maxPoints, always keeping both ends.
+export const flowDurationCurve = (observations, { maxPoints = 200 } = {}) => {
+  const values = observations.filter(hasValue).map(o => o.value).sort((a, b) => b - a);
+  const n = values.length;
+  if (!n) return [];
+
+  const step = Math.max(1, (n - 1) / (maxPoints - 1));
+  const points = [];
+  for (let position = 0; position < n; position += step) {
+    const i = Math.round(position);
+    points.push({ exceedance: ((i + 1) / (n + 1)) * 100, value: values[i] });
+  }
+  if (points[points.length - 1].value !== values[n - 1]) {
+    points.push({ exceedance: (n / (n + 1)) * 100, value: values[n - 1] });
+  }
+  return points;
+};
+
+// Value equalled or exceeded the given percentage of the time, e.g. Q95.
+export const exceedanceValue = (curve, percent) => {
+  if (!curve.length) return null;
+  const upper = curve.findIndex(p => p.exceedance >= percent);
+  if (upper === -1) return curve[curve.length - 1].value;
+  if (upper === 0) return curve[0].value;
+  const a = curve[upper - 1];
+  const b = curve[upper];
+  return a.value + ((b.value - a.value) * (percent - a.exceedance)) / (b.exceedance - a.exceedance);
+};
+
+export const medianStep = (times) => {
+  const steps = [];
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1]) steps.push(times[i] - times[i - 1]);
+  }
+  if (!steps.length) return DAY_MS;
+  steps.sort((a, b) => a - b);
+  return steps[Math.floor(steps.length / 2)];
+};
+
+// Annual maximum and minimum per year. The year starts in startMonth (0 is
+// January, 8 the hydrological year from 1 September) and is labelled by the
+// calendar year it starts in. Years with less than minCoverage of the expected
+// number of values are flagged incomplete, so a flood or drought that fell in
+// a hole does not pass for a quiet year.
+export const annualExtremes = (observations, { startMonth = 0, minCoverage = 0.8 } = {}) => {
+  const valid = observations.filter(hasValue);
+  if (!valid.length) return [];
+
+  const times = valid.map(o => Date.parse(o.time));
+  const perYear = (365.25 * DAY_MS) / medianStep(times);
+
+  const years = new Map();
+  valid.forEach((obs, i) => {
+    const date = new Date(times[i]);
+    const year = date.getUTCMonth() >= startMonth ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+    if (!years.has(year)) {
+      years.set(year, { year, count: 0, max: -Infinity, maxTime: null, min: Infinity, minTime: null });
+    }
+    const entry = years.get(year);
+    entry.count++;
+    if (obs.value > entry.max) {
+      entry.max = obs.value;
+      entry.maxTime = obs.time;
+    }
+    if (obs.value < entry.min) {
+      entry.min = obs.value;
+      entry.minTime = obs.time;
+    }
+  });
+
+  return [...years.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(entry => ({ ...entry, complete: entry.count >= perYear * minCoverage }));
+};
+
+// Sample L-moments from unbiased probability weighted moments (Hosking, 1990).
+// Returns null for fewer than three values.
+export const lMoments = (values) => {
+  const n = values.length;
+  if (n < 3) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  let b0 = 0;
+  let b1 = 0;
+  let b2 = 0;
+  sorted.forEach((x, i) => {
+    b0 += x;
+    b1 += (x * i) / (n - 1);
+    b2 += (x * i * (i - 1)) / ((n - 1) * (n - 2));
+  });
+  b0 /= n;
+  b1 /= n;
+  b2 /= n;
+
+  const l1 = b0;
+  const l2 = 2 * b1 - b0;
+  const l3 = 6 * b2 - 6 * b1 + b0;
+  return { l1, l2, l3, t3: l2 > 0 ? l3 / l2 : 0 };
+};
+
+// Lanczos approximation, accurate to about 15 digits for positive arguments.
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+
+export const gamma = (z) => {
+  if (z < 0.5) return Math.PI / (Math.sin(Math.PI * z) * gamma(1 - z));
+  const x = z - 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+  for (let i = 1; i < LANCZOS.length; i++) a += LANCZOS[i] / (x + i);
+  return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * a;
+};
+
+// Reduced variate for a return period in years: the non-exceedance
+// probability F = 1 - 1/T as -ln(-ln F).
+const gumbelVariate = (period) => -Math.log(-Math.log(1 - 1 / period));
+
+// Gumbel (EV1) fitted by L-moments.
+export const fitGumbel = (values) => {
+  const moments = lMoments(values);
+  if (!moments || !(moments.l2 > 0)) return null;
+
+  const alpha = moments.l2 / Math.LN2;
+  const xi = moments.l1 - EULER_GAMMA * alpha;
+  return {
+    distribution: 'gumbel',
+    xi,
+    alpha,
+    quantile: (period) => xi + alpha * gumbelVariate(period)
+  };
+};
+
+// Generalized extreme value fitted by L-moments with Hosking's approximation
+// for the shape k (positive k means a bounded upper tail). When k is close to
+// zero the GEV is a Gumbel, and the general formula loses precision.
+export const fitGEV = (values) => {
+  const moments = lMoments(values);
+  if (!moments || !(moments.l2 > 0)) return null;
+
+  const c = 2 / (3 + moments.t3) - Math.LN2 / Math.log(3);
+  const k = 7.859 * c + 2.9554 * c * c;
+  if (Math.abs(k) < 1e-6) {
+    return { ...fitGumbel(values), distribution: 'gev', k: 0 };
+  }
+
+  const g = gamma(1 + k);
+  const alpha = (moments.l2 * k) / ((1 - Math.pow(2, -k)) * g);
+  const xi = moments.l1 - (alpha * (1 - g)) / k;
+  return {
+    distribution: 'gev',
+    xi,
+    alpha,
+    k,
+    quantile: (period) => xi + (alpha / k) * (1 - Math.pow(-Math.log(1 - 1 / period), k))
+  };
+};
+
+// Gringorten plotting positions for the observed annual maxima, as return
+// periods, so they can be drawn against the fitted curves.
+export const empiricalReturnPeriods = (values) => {
+  const n = values.length;
+  return [...values]
+    .sort((a, b) => b - a)
+    .map((value, i) => ({ value, period: (n + 0.12) / (i + 1 - 0.44) }));
+};
+
+// Fits both distributions to the annual maxima and tabulates the flow for
+// each return period. Needs at least minYears values to say anything at all.
+export const floodFrequency = (annualMaxima, { periods = RETURN_PERIODS, minYears = 5 } = {}) => {
+  if (annualMaxima.length < minYears) return null;
+
+  const gumbel = fitGumbel(annualMaxima);
+  const gev = fitGEV(annualMaxima);
+  if (!gumbel || !gev) return null;
+
+  return {
+    years: annualMaxima.length,
+    gumbel,
+    gev,
+    table: periods.map(period => ({
+      period,
+      gumbel: gumbel.quantile(period),
+      gev: gev.quantile(period)
+    })),
+    observed: empiricalReturnPeriods(annualMaxima)
+  };
+};
+
+const filterPass = (flow, alpha, reverse) => {
+  const n = flow.length;
+  const quick = new Array(n);
+  const base = new Array(n);
+  const order = reverse ? (i) => n - 1 - i : (i) => i;
+
+  const first = order(0);
+  quick[first] = 0;
+  base[first] = flow[first];
+  for (let step = 1; step < n; step++) {
+    const i = order(step);
+    const prev = order(step - 1);
+    const q = alpha * quick[prev] + ((1 + alpha) / 2) * (flow[i] - flow[prev]);
+    quick[i] = Math.min(Math.max(q, 0), flow[i]);
+    base[i] = flow[i] - quick[i];
+  }
+  return base;
+};
+
+// Baseflow separation with the Lyne–Hollick recursive digital filter, run
+// forward, backward and forward again (alpha 0.925, as in Nathan & McMahon,
+// 1990). The filter needs an unbroken series, so it runs separately on each
+// stretch between missing values and gaps. BFI is total baseflow over total
+// flow for the values that could be filtered.
+export const baseflowIndex = (observations, { alpha = 0.925, passes = 3, gapFactor = 2.5 } = {}) => {
+  const times = observations.map(o => Date.parse(o.time));
+  const maxStep = medianStep(times) * gapFactor;
+
+  const segments = [];
+  let current = [];
+  observations.forEach((obs, i) => {
+    const broken = !hasValue(obs) || (i > 0 && times[i] - times[i - 1] > maxStep);
+    if (broken && current.length) {
+      segments.push(current);
+      current = [];
+    }
+    if (hasValue(obs)) current.push(i);
+  });
+  if (current.length) segments.push(current);
+
+  const baseflow = observations.map(() => null);
+  let totalFlow = 0;
+  let totalBase = 0;
+
+  segments.forEach(indices => {
+    if (indices.length < 2) return;
+    let base = indices.map(i => Math.max(observations[i].value, 0));
+    for (let pass = 0; pass < passes; pass++) {
+      base = filterPass(base, alpha, pass % 2 === 1);
+    }
+    indices.forEach((index, j) => {
+      baseflow[index] = base[j];
+      totalFlow += Math.max(observations[index].value, 0);
+      totalBase += base[j];
+    });
+  });
+
+  return {
+    baseflow,
+    bfi: totalFlow > 0 ? totalBase / totalFlow : null
+  };
+};
@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import {
+  flowDurationCurve,
+  exceedanceValue,
+  annualExtremes,
+  lMoments,
+  fitGumbel,
+  fitGEV,
+  floodFrequency,
+  baseflowIndex
+} from './analysis';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A sample that follows a distribution exactly: its quantiles at evenly
+// spaced probabilities, so fitted parameters can be checked without noise.
+const quantileSample = (quantile, n = 2000) => Array.from({ length: n }, (_, i) => quantile((i + 0.5) / n));
+
+const gumbelQuantile = (xi, alpha) => (p) => xi - alpha * Math.log(-Math.log(p));
+const gevQuantile = (xi, alpha, k) => (p) => xi + (alpha / k) * (1 - Math.pow(-Math.log(p), k));
+
+const daily = (from, values) => values.map((value, i) => ({
+  time: new Date(Date.parse(from) + i * DAY_MS).toISOString(),
+  value
+}));
+
+describe('lMoments', () => {
+  it('needs at least three values', () => {
+    expect(lMoments([1, 2])).toBeNull();
+  });
+
+  it('matches hand-computed moments of a symmetric sample', () => {
+    const { l1, l2, l3, t3 } = lMoments([5, 3, 1, 4, 2]);
+    expect(l1).toBeCloseTo(3, 10);
+    expect(l2).toBeCloseTo(1, 10);
+    expect(l3).toBeCloseTo(0, 10);
+    expect(t3).toBeCloseTo(0, 10);
+  });
+
+  it('gives the Gumbel L-skewness for a Gumbel sample', () => {
+    expect(lMoments(quantileSample(gumbelQuantile(100, 30))).t3).toBeCloseTo(0.1699, 2);
+  });
+});
+
+describe('fitGumbel', () => {
+  it('recovers the parameters of a Gumbel sample', () => {
+    const fit = fitGumbel(quantileSample(gumbelQuantile(100, 30)));
+    expect(fit.xi).toBeCloseTo(100, 0);
+    expect(fit.alpha).toBeCloseTo(30, 0);
+    // 100 + 30 * -ln(-ln 0.99)
+    expect(fit.quantile(100)).toBeCloseTo(238.0, 0);
+  });
+
+  it('returns null when all values are equal', () => {
+    expect(fitGumbel([7, 7, 7, 7])).toBeNull();
+  });
+});
+
+describe('fitGEV', () => {
+  it('is close to Gumbel for a Gumbel sample', () => {
+    const fit = fitGEV(quantileSample(gumbelQuantile(100, 30)));
+    expect(Math.abs(fit.k)).toBeLessThan(0.01);
+    expect(fit.xi).toBeCloseTo(100, 0);
+    expect(fit.alpha / 30).toBeCloseTo(1, 1);
+    expect(fit.quantile(100) / 238.0).toBeCloseTo(1, 2);
+  });
+
+  it('recovers the shape of a bounded GEV sample', () => {
+    const fit = fitGEV(quantileSample(gevQuantile(50, 10, 0.2)));
+    expect(fit.k).toBeCloseTo(0.2, 2);
+    expect(fit.xi).toBeCloseTo(50, 0);
+    expect(fit.alpha).toBeCloseTo(10, 0);
+    expect(fit.quantile(100)).toBeCloseTo(gevQuantile(50, 10, 0.2)(0.99), 0);
+  });
+});
+
+describe('floodFrequency', () => {
+  it('needs minYears annual maxima', () => {
+    expect(floodFrequency([1, 2, 3, 4])).toBeNull();
+  });
+
+  it('tabulates both fits for every return period', () => {
+    const result = floodFrequency(quantileSample(gumbelQuantile(100, 30), 50), { periods: [10, 100] });
+    expect(result.years).toBe(50);
+    expect(result.table.map(row => row.period)).toEqual([10, 100]);
+    expect(result.table[1].gumbel).toBeGreaterThan(result.table[0].gumbel);
+    expect(result.observed).toHaveLength(50);
+  });
+});
+
+describe('flowDurationCurve and exceedanceValue', () => {
+  const observations = daily('2020-01-01T00:00:00Z', Array.from({ length: 99 }, (_, i) => i + 1));
+
+  it('uses Weibull plotting positions', () => {
+    const curve = flowDurationCurve(observations);
+    expect(curve).toHaveLength(99);
+    expect(curve[0]).toEqual({ exceedance: 1, value: 99 });
+    expect(curve[98]).toEqual({ exceedance: 99, value: 1 });
+  });
+
+  it('reads percentiles off the curve', () => {
+    const curve = flowDurationCurve(observations);
+    expect(exceedanceValue(curve, 50)).toBeCloseTo(50, 10);
+    expect(exceedanceValue(curve, 95)).toBeCloseTo(5, 10);
+    expect(exceedanceValue(curve, 0.5)).toBe(99);
+    expect(exceedanceValue(curve, 99.5)).toBe(1);
+    expect(exceedanceValue([], 50)).toBeNull();
+  });
+
+  it('thins long records but keeps both ends', () => {
+    const curve = flowDurationCurve(observations, { maxPoints: 10 });
+    expect(curve.length).toBeLessThanOrEqual(11);
+    expect(curve[0].value).toBe(99);
+    expect(curve[curve.length - 1].value).toBe(1);
+  });
+
+  it('skips missing values', () => {
+    expect(flowDurationCurve(daily('2020-01-01T00:00:00Z', [null, 2, null]))).toEqual([{ exceedance: 50, value: 2 }]);
+  });
+});
+
+describe('annualExtremes', () => {
+  // Two full hydrological years from 1 September 2019, then two months.
+  const days = (Date.parse('2021-11-01T00:00:00Z') - Date.parse('2019-09-01T00:00:00Z')) / DAY_MS;
+  const observations = daily('2019-09-01T00:00:00Z', Array.from({ length: days }, () => 10));
+  const at = (date) => observations.findIndex(o => o.time.startsWith(date));
+  observations[at('2020-08-15')].value = 500;
+  observations[at('2020-10-01')].value = 1;
+
+  it('splits at the start month and labels by the starting year', () => {
+    const years = annualExtremes(observations, { startMonth: 8 });
+    expect(years.map(y => y.year)).toEqual([2019, 2020, 2021]);
+    expect(years[0].max).toBe(500);
+    expect(years[0].maxTime).toBe('2020-08-15T00:00:00.000Z');
+    expect(years[1].min).toBe(1);
+    expect(years[1].minTime).toBe('2020-10-01T00:00:00.000Z');
+  });
+
+  it('flags years with too little data as incomplete', () => {
+    expect(annualExtremes(observations, { startMonth: 8 }).map(y => y.complete)).toEqual([true, true, false]);
+  });
+
+  it('uses calendar years by default', () => {
+    expect(annualExtremes(observations).map(y => y.year)).toEqual([2019, 2020, 2021]);
+    expect(annualExtremes(observations)[1].max).toBe(500);
+  });
+});
+
+describe('baseflowIndex', () => {
+  it('is 1 for a constant flow', () => {
+    const { bfi, baseflow } = baseflowIndex(daily('2020-01-01T00:00:00Z', Array(30).fill(12)));
+    expect(bfi).toBeCloseTo(1, 10);
+    expect(baseflow.every(b => b === 12)).toBe(true);
+  });
+
+  it('is below 1 when the flow has peaks', () => {
+    const flow = Array.from({ length: 60 }, (_, i) => (i % 20 === 10 ? 100 : 10));
+    expect(baseflowIndex(daily('2020-01-01T00:00:00Z', flow)).bfi).toBeLessThan(1);
+  });
+
+  it('filters each stretch between missing values separately', () => {
+    const { bfi, baseflow } = baseflowIndex(daily('2020-01-01T00:00:00Z', [...Array(10).fill(10), null, ...Array(10).fill(50)]));
+    expect(baseflow[10]).toBeNull();
+    expect(bfi).toBeCloseTo(1, 10);
+  });
+
+  it('filters each stretch between gaps separately', () => {
+    const before = daily('2020-01-01T00:00:00Z', Array(10).fill(10));
+    const after = daily('2020-03-01T00:00:00Z', Array(10).fill(50));
+    expect(baseflowIndex([...before, ...after]).bfi).toBeCloseTo(1, 10);
+    expect(baseflowIndex([...before, ...after.map(o => ({ ...o, time: new Date(Date.parse(o.time) - 50 * DAY_MS).toISOString() }))]).bfi).toBeLessThan(1);
+  });
+
+  it('leaves values it cannot filter out', () => {
+    const { baseflow, bfi } = baseflowIndex(daily('2020-01-01T00:00:00Z', [5, null, 8, 8, 8]));
+    expect(baseflow[0]).toBeNull();
+    expect(bfi).toBeCloseTo(1, 10);
+  });
+});
@@ -0,0 +1,193 @@
+import { fetchStations, fetchObservations, NetworkError } from './hydapi';
+
+const DB_NAME = 'nve-vannforing';
+const DB_VERSION = 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// The station catalogue rarely changes. Observations older than a couple of
+// days are stable, while recent values are still being corrected by NVE and
+// are refetched after an hour.
+export const STATIONS_TTL_MS = DAY_MS;
+export const STABLE_TTL_MS = 30 * DAY_MS;
+export const RECENT_TTL_MS = HOUR_MS;
+const RECENT_WINDOW_MS = 2 * DAY_MS;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB er ikke tilgjengelig'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('stations')) db.createObjectStore('stations');
+        if (!db.objectStoreNames.contains('series')) db.createObjectStore('series', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    // A failed commit, such as QuotaExceededError, only fires abort.
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// A broken or unavailable database only means no caching, so reads resolve to
+// undefined and writes are dropped instead of failing the request.
+const readRecord = (store, key) => withStore(store, 'readonly', s => s.get(key)).catch(() => undefined);
+const writeRecord = (store, value, key) => withStore(store, 'readwrite', s => (key === undefined ? s.put(value) : s.put(value, key)))
+  .catch(() => undefined);
+
+export const seriesCacheKey = (stationId, parameter, resolutionTime) => `${stationId}|${parameter}|${resolutionTime}`;
+
+const isExpired = (range, now) => {
+  const ttl = range.to > range.fetchedAt - RECENT_WINDOW_MS ? RECENT_TTL_MS : STABLE_TTL_MS;
+  return now - range.fetchedAt > ttl;
+};
+
+// Parts of [from, to] that are not covered by an unexpired cached range.
+export const missingRanges = (ranges, from, to, now = Date.now()) => {
+  const valid = ranges.filter(r => !isExpired(r, now)).sort((a, b) => a.from - b.from);
+  const gaps = [];
+  let cursor = from;
+
+  for (const range of valid) {
+    if (range.to < cursor) continue;
+    if (range.from > to) break;
+    if (range.from > cursor) gaps.push({ from: cursor, to: range.from });
+    cursor = Math.max(cursor, range.to);
+  }
+  if (cursor < to) gaps.push({ from: cursor, to });
+
+  return gaps;
+};
+
+// Adds a freshly fetched range, trimming older ranges it overlaps so each
+// instant has exactly one fetch time.
+export const addRange = (ranges, added) => {
+  const trimmed = ranges.flatMap(r => {
+    if (r.to <= added.from || r.from >= added.to) return [r];
+    const parts = [];
+    if (r.from < added.from) parts.push({ ...r, to: added.from });
+    if (r.to > added.to) parts.push({ ...r, from: added.to });
+    return parts;
+  });
+  return [...trimmed, added].sort((a, b) => a.from - b.from);
+};
+
+// Replaces stored observations inside [from, to] with the fetched ones.
+export const mergeObservations = (stored, fetched, from, to) => {
+  const kept = stored.filter(o => {
+    const t = Date.parse(o.time);
+    return t < from || t > to;
+  });
+  return [...kept, ...fetched].sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+};
+
+const isoDate = (value) => new Date(value).toISOString();
+
+export const fetchStationsCached = async (apiKey, options) => {
+  const cached = await readRecord('stations', 'catalogue');
+  if (cached && Date.now() - cached.fetchedAt < STATIONS_TTL_MS) {
+    return { stations: cached.stations, offline: false };
+  }
+
+  try {
+    const stations = await fetchStations(apiKey, options);
+    await writeRecord('stations', { stations, fetchedAt: Date.now() }, 'catalogue');
+    return { stations, offline: false };
+  } catch (error) {
+    if (cached && error instanceof NetworkError) return { stations: cached.stations, offline: true };
+    throw error;
+  }
+};
+
+// Same result shape as fetchObservations, but only the parts of the window
+// that are not cached are requested. When the API cannot be reached the
+// cached part is returned with offline set.
+export const fetchObservationsCached = async (apiKey, { stationId, parameter, resolutionTime, from, to }, options) => {
+  const key = seriesCacheKey(stationId, parameter, resolutionTime);
+  const fromMs = Date.parse(from);
+  const toMs = Date.parse(to);
+  const now = Date.now();
+
+  let record = await readRecord('series', key) || {
+    key,
+    stationId,
+    parameter,
+    resolutionTime,
+    meta: null,
+    ranges: [],
+    observations: []
+  };
+
+  let offline = false;
+  for (const gap of missingRanges(record.ranges, fromMs, toMs, now)) {
+    try {
+      const data = await fetchObservations(apiKey, {
+        stationId,
+        parameter,
+        resolutionTime,
+        referenceTime: `${isoDate(gap.from)}/${isoDate(gap.to)}`
+      }, options);
+      record = {
+        ...record,
+        meta: data
+          ? { stationName: data.stationName, parameterName: data.parameterName, unit: data.unit }
+          : record.meta,
+        ranges: addRange(record.ranges, { ...gap, fetchedAt: now }),
+        observations: mergeObservations(record.observations, data?.observations || [], gap.from, gap.to)
+      };
+    } catch (error) {
+      if (!(error instanceof NetworkError) || !record.observations.length) throw error;
+      offline = true;
+      break;
+    }
+  }
+
+  await writeRecord('series', record);
+  if (!record.meta) return null;
+
+  return {
+    stationId,
+    ...record.meta,
+    observations: record.observations.filter(o => {
+      const t = Date.parse(o.time);
+      return t >= fromMs && t <= toMs;
+    }),
+    offline
+  };
+};
+
+// Drops series whose every range has expired; they would be refetched in
+// full on the next request anyway.
+export const pruneCache = async () => {
+  const now = Date.now();
+  const records = await withStore('series', 'readonly', s => s.getAll()).catch(() => []);
+  const stale = records.filter(r => r.ranges.every(range => isExpired(range, now)));
+  if (!stale.length) return;
+  await withStore('series', 'readwrite', s => {
+    stale.forEach(r => s.delete(r.key));
+  }).catch(() => undefined);
+};
+
+export const clearCache = async () => {
+  await withStore('series', 'readwrite', s => s.clear()).catch(() => undefined);
+  await withStore('stations', 'readwrite', s => s.clear()).catch(() => undefined);
+};
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { missingRanges, addRange, mergeObservations, RECENT_TTL_MS, STABLE_TTL_MS } from './cache';
+
+vi.mock('./hydapi', () => ({
+  fetchStations: vi.fn(async () => [{ stationId: '2.11.0' }]),
+  fetchObservations: vi.fn(async () => ({
+    stationName: 'Narsjø',
+    parameterName: 'Vannføring',
+    unit: 'm³/s',
+    observations: [{ time: '2024-06-01T12:00:00.000Z', value: 3 }]
+  })),
+  NetworkError: class NetworkError extends Error {}
+}));
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+const at = (days) => NOW - days * DAY_MS;
+
+// A range fetched long after it ended, so it counts as stable.
+const stable = (from, to, fetchedAt = NOW) => ({ from: at(from), to: at(to), fetchedAt });
+
+describe('missingRanges', () => {
+  it('asks for the whole window when nothing is cached', () => {
+    expect(missingRanges([], at(30), at(10), NOW)).toEqual([{ from: at(30), to: at(10) }]);
+  });
+
+  it('asks for nothing when the window is covered', () => {
+    expect(missingRanges([stable(40, 5)], at(30), at(10), NOW)).toEqual([]);
+  });
+
+  it('treats touching and overlapping ranges as one', () => {
+    const ranges = [stable(30, 20), stable(20, 15), stable(17, 10)];
+    expect(missingRanges(ranges, at(30), at(10), NOW)).toEqual([]);
+  });
+
+  it('asks for the edges and holes only', () => {
+    const ranges = [stable(25, 20), stable(15, 12)];
+    expect(missingRanges(ranges, at(30), at(10), NOW)).toEqual([
+      { from: at(30), to: at(25) },
+      { from: at(20), to: at(15) },
+      { from: at(12), to: at(10) }
+    ]);
+  });
+
+  it('does not depend on the order of the ranges', () => {
+    const ranges = [stable(15, 12), stable(25, 20)];
+    expect(missingRanges(ranges, at(30), at(10), NOW)).toHaveLength(3);
+  });
+
+  it('refetches recent data after an hour', () => {
+    const recent = { from: at(1), to: NOW, fetchedAt: NOW };
+    expect(missingRanges([recent], at(1), NOW, NOW + RECENT_TTL_MS)).toEqual([]);
+    expect(missingRanges([recent], at(1), NOW, NOW + RECENT_TTL_MS + 1)).toEqual([{ from: at(1), to: NOW }]);
+  });
+
+  it('keeps older data for a month', () => {
+    const old = stable(30, 10);
+    expect(missingRanges([old], at(30), at(10), NOW + STABLE_TTL_MS)).toEqual([]);
+    expect(missingRanges([old], at(30), at(10), NOW + STABLE_TTL_MS + 1)).toEqual([{ from: at(30), to: at(10) }]);
+  });
+
+  it('counts data as recent when it ends within two days of the fetch', () => {
+    const fetched = { from: at(10), to: at(1), fetchedAt: NOW };
+    expect(missingRanges([fetched], at(10), at(1), NOW + 2 * HOUR_MS)).toEqual([{ from: at(10), to: at(1) }]);
+  });
+});
+
+describe('addRange', () => {
+  it('keeps ranges it does not touch, in order', () => {
+    const added = stable(10, 5, NOW + 1);
+    expect(addRange([stable(20, 15)], added)).toEqual([stable(20, 15), added]);
+  });
+
+  it('trims the ranges it overlaps', () => {
+    const added = stable(25, 15, NOW + 1);
+    expect(addRange([stable(30, 20), stable(18, 10)], added)).toEqual([stable(30, 25), added, stable(15, 10)]);
+  });
+
+  it('splits a range it falls inside and replaces one it covers', () => {
+    const added = stable(20, 15, NOW + 1);
+    expect(addRange([stable(30, 10)], added)).toEqual([stable(30, 20), added, stable(15, 10)]);
+    expect(addRange([stable(19, 16)], added)).toEqual([added]);
+  });
+});
+
+describe('mergeObservations', () => {
+  const obs = (days, value) => ({ time: new Date(at(days)).toISOString(), value });
+
+  it('replaces stored values inside the window, ends included', () => {
+    const stored = [obs(5, 1), obs(4, 1), obs(3, 1), obs(2, 1)];
+    const merged = mergeObservations(stored, [obs(4, 2), obs(3.5, 2)], at(4), at(3));
+    expect(merged).toEqual([obs(5, 1), obs(4, 2), obs(3.5, 2), obs(2, 1)]);
+  });
+});
+
+// An IndexedDB whose reads find nothing and whose writes fail to commit, the
+// way a full disk does: the transaction fires abort, never error or complete.
+const quotaExceededIndexedDB = () => ({
+  open: () => {
+    const request = {};
+    const db = {
+      objectStoreNames: { contains: () => true },
+      transaction: () => {
+        const tx = { error: null };
+        tx.objectStore = () => ({
+          get: () => {
+            const read = { result: undefined };
+            setTimeout(() => tx.oncomplete?.());
+            return read;
+          },
+          put: () => {
+            setTimeout(() => {
+              tx.error = new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+              tx.onabort?.();
+            });
+            return {};
+          }
+        });
+        return tx;
+      }
+    };
+    setTimeout(() => {
+      request.result = db;
+      request.onsuccess();
+    });
+    return request;
+  }
+});
+
+describe('aborted writes', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    vi.stubGlobal('indexedDB', quotaExceededIndexedDB());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('still returns the fetched stations', async () => {
+    const { fetchStationsCached } = await import('./cache');
+    await expect(fetchStationsCached('key')).resolves.toEqual({ stations: [{ stationId: '2.11.0' }], offline: false });
+  });
+
+  it('still returns the fetched observations', async () => {
+    const { fetchObservationsCached } = await import('./cache');
+    const data = await fetchObservationsCached('key', {
+      stationId: '2.11.0',
+      parameter: '1001',
+      resolutionTime: '0',
+      from: '2024-06-01T00:00:00.000Z',
+      to: '2024-06-02T00:00:00.000Z'
+    });
+    expect(data.observations).toHaveLength(1);
+    expect(data.offline).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PADDING = 16;
+const TITLE_HEIGHT = 28;
+const LEGEND_ROW = 20;
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+const svgElement = (name, attributes = {}, text) => {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+};
+
+// Lays the legend entries out in rows that fit the width. Text width is
+// estimated, since the SVG is built detached from the page.
+const layoutLegend = (legend, width) => {
+  const placed = [];
+  let x = 0;
+  let row = 0;
+  legend.forEach(entry => {
+    const entryWidth = 28 + entry.label.length * 7;
+    if (x > 0 && x + entryWidth > width) {
+      x = 0;
+      row += 1;
+    }
+    placed.push({ ...entry, x, y: row * LEGEND_ROW });
+    x += entryWidth;
+  });
+  return { placed, height: legend.length ? (row + 1) * LEGEND_ROW : 0 };
+};
+
+// Stacks the chart surfaces found in the containers into one standalone SVG
+// under a title. Recharts draws its legend as HTML, so the legend entries
+// ({ label, color, dashed }) are drawn again here.
+export const composeChartSvg = (containers, { title, legend = [] }) => {
+  const surfaces = containers
+    .map(container => container?.querySelector('.recharts-wrapper > svg.recharts-surface'))
+    .filter(Boolean);
+  if (!surfaces.length) return null;
+
+  const chartWidth = Math.max(...surfaces.map(s => Number(s.getAttribute('width')) || 0));
+  const { placed, height: legendHeight } = layoutLegend(legend, chartWidth);
+  const width = chartWidth + 2 * PADDING;
+  let y = PADDING + TITLE_HEIGHT + legendHeight + (legendHeight ? PADDING / 2 : 0);
+  const height = y + surfaces.reduce((sum, s) => sum + (Number(s.getAttribute('height')) || 0) + PADDING, 0);
+
+  const root = svgElement('svg', {
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    'font-family': FONT,
+    'font-size': 12
+  });
+  root.appendChild(svgElement('rect', { width, height, fill: 'white' }));
+  root.appendChild(svgElement('text', { x: PADDING, y: PADDING + 16, 'font-size': 16, 'font-weight': 600, fill: '#1f2937' }, title));
+
+  placed.forEach(entry => {
+    const group = svgElement('g', { transform: `translate(${PADDING + entry.x}, ${PADDING + TITLE_HEIGHT + entry.y})` });
+    group.appendChild(svgElement('line', {
+      x1: 0,
+      y1: 8,
+      x2: 20,
+      y2: 8,
+      stroke: entry.color,
+      'stroke-width': 3,
+      ...(entry.dashed ? { 'stroke-dasharray': '6 4' } : {})
+    }));
+    group.appendChild(svgElement('text', { x: 26, y: 12, fill: '#374151' }, entry.label));
+    root.appendChild(group);
+  });
+
+  surfaces.forEach(surface => {
+    const clone = surface.cloneNode(true);
+    clone.setAttribute('x', PADDING);
+    clone.setAttribute('y', y);
+    root.appendChild(clone);
+    y += (Number(surface.getAttribute('height')) || 0) + PADDING;
+  });
+
+  return { markup: new XMLSerializer().serializeToString(root), width, height };
+};
+
+// Draws the composed SVG onto a canvas, scaled up so the image stays sharp
+// when printed or zoomed.
+export const renderChartCanvas = ({ markup, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const url = window.URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    window.URL.revokeObjectURL(url);
+    resolve(canvas);
+  };
+  image.onerror = () => {
+    window.URL.revokeObjectURL(url);
+    const error = new Error('Kunne ikke tegne grafen som bilde');
+    error.name = 'ChartImageError';
+    reject(error);
+  };
+  image.src = url;
+});
+
+export const canvasToBlob = (canvas) => new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
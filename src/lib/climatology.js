@@ -0,0 +1,84 @@
+export const PERCENTILES = [
+  { key: 'min', p: 0 },
+  { key: 'p10', p: 10 },
+  { key: 'p25', p: 25 },
+  { key: 'p50', p: 50 },
+  { key: 'p75', p: 75 },
+  { key: 'p90', p: 90 },
+  { key: 'max', p: 100 },
+];
+
+// Class ids are translated as percentileClass.<id>.
+const CLASSES = [
+  { below: 'min', id: 'lowest', tone: 'drought' },
+  { below: 'p10', id: 'veryLow', tone: 'drought' },
+  { below: 'p25', id: 'low', tone: 'dry' },
+  { below: 'p75', id: 'normal', tone: 'normal' },
+  { below: 'p90', id: 'high', tone: 'wet' },
+  { below: 'max', id: 'veryHigh', tone: 'flood' },
+  { below: null, id: 'highest', tone: 'flood' },
+];
+
+// Day index in a leap year calendar (0-365), so 29 February gets its own slot
+// and 1 March is the same index every year.
+const LEAP_MONTH_OFFSETS = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+
+export const dayOfYear = (time) => {
+  const date = new Date(time);
+  return LEAP_MONTH_OFFSETS[date.getUTCMonth()] + date.getUTCDate() - 1;
+};
+
+const quantile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Computes percentiles for each calendar day from a daily history. Values
+// within +/- windowDays of the day are pooled to smooth out short records.
+// Days with fewer than minValues values get null.
+export const computeDayOfYearPercentiles = (observations, { windowDays = 7, minValues = 10 } = {}) => {
+  const byDay = Array.from({ length: 366 }, () => []);
+  observations.forEach(obs => {
+    if (obs.value === null || obs.value === undefined) return;
+    byDay[dayOfYear(obs.time)].push(obs.value);
+  });
+
+  return byDay.map((_, day) => {
+    const pooled = [];
+    for (let offset = -windowDays; offset <= windowDays; offset++) {
+      pooled.push(...byDay[(day + offset + 366) % 366]);
+    }
+    if (pooled.length < minValues) return null;
+
+    pooled.sort((a, b) => a - b);
+    return PERCENTILES.reduce((bands, { key, p }) => ({ ...bands, [key]: quantile(pooled, p) }), { count: pooled.length });
+  });
+};
+
+// Places a value within the bands for its day: which class it falls in and an
+// approximate percentile, interpolated linearly between the band edges.
+export const classifyValue = (value, bands) => {
+  if (value === null || value === undefined || !bands) return null;
+
+  const cls = CLASSES.find(c => c.below === null || value < bands[c.below]);
+
+  let percentile;
+  if (value <= bands.min) {
+    percentile = 0;
+  } else if (value >= bands.max) {
+    percentile = 100;
+  } else {
+    const upperIndex = PERCENTILES.findIndex(({ key }) => value < bands[key]);
+    const lower = PERCENTILES[upperIndex - 1];
+    const upper = PERCENTILES[upperIndex];
+    const span = bands[upper.key] - bands[lower.key];
+    percentile = span > 0
+      ? lower.p + ((value - bands[lower.key]) / span) * (upper.p - lower.p)
+      : lower.p;
+  }
+
+  return { ...cls, percentile };
+};
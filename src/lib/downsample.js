@@ -0,0 +1,115 @@
+import { hasValue, detectGaps } from './quality';
+
+// Largest-Triangle-Three-Buckets (Steinarsson, 2013). Keeps the first and last
+// point and, from each bucket in between, the point that spans the largest
+// triangle with the previously kept point and the average of the next bucket.
+// That keeps peaks and troughs, which plain decimation would drop.
+export const lttb = (points, threshold, x = (p) => p.x, y = (p) => p.y) => {
+  const n = points.length;
+  if (threshold >= n) return points;
+  if (threshold < 3) return [points[0], points[n - 1]];
+
+  const sampled = [points[0]];
+  const bucketSize = (n - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, n);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += x(points[j]);
+      avgY += y(points[j]);
+    }
+    const nextLength = nextEnd - nextStart || 1;
+    avgX /= nextLength;
+    avgY /= nextLength;
+
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.floor((i + 1) * bucketSize) + 1;
+    const ax = x(points[a]);
+    const ay = y(points[a]);
+    let maxArea = -1;
+    let chosen = start;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs((ax - avgX) * (y(points[j]) - ay) - (ax - x(points[j])) * (avgY - ay));
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = j;
+      }
+    }
+
+    sampled.push(points[chosen]);
+    a = chosen;
+  }
+
+  sampled.push(points[n - 1]);
+  return sampled;
+};
+
+// Downsamples observations to at most threshold points for drawing. LTTB only
+// works on unbroken data, so the series is cut at missing values and gaps and
+// a missing observation is put back at every cut so the chart still breaks the
+// line. Cuts narrower than one point's share of the time span could not be
+// seen, and at most a quarter of the points go to breaks, so only the widest
+// cuts are kept and the stretches around the others are joined. The rest of
+// the points are shared by length, at least two per stretch.
+export const downsampleObservations = (observations, threshold = 1500) => {
+  if (observations.length <= threshold) return observations;
+
+  const gapAfter = new Set(detectGaps(observations).map(g => g.afterIndex));
+  const segments = [];
+  let current = [];
+  observations.forEach((obs, i) => {
+    if (hasValue(obs)) {
+      current.push(obs);
+    } else if (current.length) {
+      segments.push(current);
+      current = [];
+    }
+    if (gapAfter.has(i) && current.length) {
+      segments.push(current);
+      current = [];
+    }
+  });
+  if (current.length) segments.push(current);
+  if (!segments.length) return [];
+
+  const x = (obs) => Date.parse(obs.time);
+  const y = (obs) => obs.value;
+
+  const last = segments[segments.length - 1];
+  const minWidth = (x(last[last.length - 1]) - x(segments[0][0])) / threshold;
+  const maxBreaks = Math.max(0, Math.floor((threshold - 2) / 4));
+  const kept = new Set(segments.slice(1)
+    .map((segment, i) => ({ i, width: x(segment[0]) - x(segments[i][segments[i].length - 1]) }))
+    .filter(cut => cut.width >= minWidth)
+    .sort((a, b) => b.width - a.width)
+    .slice(0, maxBreaks)
+    .map(cut => cut.i));
+  const stretches = [segments[0]];
+  segments.slice(1).forEach((segment, i) => {
+    if (kept.has(i)) {
+      stretches.push(segment);
+    } else {
+      stretches[stretches.length - 1] = stretches[stretches.length - 1].concat(segment);
+    }
+  });
+
+  const budget = threshold - (stretches.length - 1);
+  const minimum = (stretch) => Math.min(stretch.length, 2);
+  const reserved = stretches.reduce((sum, stretch) => sum + minimum(stretch), 0);
+  const spare = stretches.reduce((sum, stretch) => sum + stretch.length - minimum(stretch), 0);
+  const extra = Math.min(budget - reserved, spare);
+
+  return stretches.flatMap((stretch, i) => {
+    const share = minimum(stretch) + (spare ? Math.floor((extra * (stretch.length - minimum(stretch))) / spare) : 0);
+    const points = lttb(stretch, share, x, y);
+    if (i === stretches.length - 1) return points;
+
+    const next = stretches[i + 1][0];
+    const breakTime = new Date((x(stretch[stretch.length - 1]) + x(next)) / 2).toISOString();
+    return [...points, { time: breakTime, value: null }];
+  });
+};
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { lttb, downsampleObservations } from './downsample';
+
+const TEN_MINUTES_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.parse('2020-01-01T00:00:00Z');
+
+const series = (count, value, { step = TEN_MINUTES_MS, from = START } = {}) => Array.from({ length: count }, (_, i) => ({
+  time: new Date(from + i * step).toISOString(),
+  value: value(i)
+}));
+
+const wave = (i) => 10 + Math.sin(i / 50);
+const breaks = (points) => points.filter(p => p.value === null);
+
+describe('lttb', () => {
+  const points = Array.from({ length: 100 }, (_, i) => ({ x: i, y: i === 40 ? 100 : 0 }));
+
+  it('keeps the ends and the peak', () => {
+    const sampled = lttb(points, 10);
+    expect(sampled).toHaveLength(10);
+    expect(sampled[0]).toBe(points[0]);
+    expect(sampled[9]).toBe(points[99]);
+    expect(sampled).toContain(points[40]);
+  });
+
+  it('returns short input as it is', () => {
+    expect(lttb(points, 100)).toBe(points);
+    expect(lttb(points, 2)).toEqual([points[0], points[99]]);
+  });
+});
+
+describe('downsampleObservations', () => {
+  it('returns series under the threshold as they are', () => {
+    const observations = series(100, wave);
+    expect(downsampleObservations(observations, 1500)).toBe(observations);
+  });
+
+  it('stays within the threshold when every tenth value is missing', () => {
+    const observations = series(50000, i => (i % 10 === 9 ? null : wave(i)));
+    const sampled = downsampleObservations(observations, 1500);
+    expect(sampled.length).toBeLessThanOrEqual(1500);
+    expect(sampled.length).toBeGreaterThan(1400);
+    expect(sampled[0]).toBe(observations[0]);
+    expect(sampled[sampled.length - 1]).toBe(observations[49998]);
+  });
+
+  it('breaks the line in the middle of a visible gap', () => {
+    const before = series(3000, wave);
+    const after = series(3000, wave, { from: START + 60 * DAY_MS });
+    const sampled = downsampleObservations([...before, ...after], 1000);
+    expect(sampled.length).toBeLessThanOrEqual(1000);
+    expect(breaks(sampled)).toHaveLength(1);
+
+    const gapFrom = Date.parse(before[2999].time);
+    const gapTo = Date.parse(after[0].time);
+    expect(Date.parse(breaks(sampled)[0].time)).toBe((gapFrom + gapTo) / 2);
+  });
+
+  it('breaks the line at a long run of missing values', () => {
+    const observations = series(6000, i => (i >= 2000 && i < 4000 ? null : wave(i)));
+    const sampled = downsampleObservations(observations, 1000);
+    expect(sampled.length).toBeLessThanOrEqual(1000);
+    expect(breaks(sampled)).toHaveLength(1);
+  });
+
+  it('keeps only the widest gaps when there are more than the budget allows', () => {
+    // Stretches of five hourly values, each gap a day wider than the last.
+    const observations = [];
+    let from = START;
+    for (let i = 0; i < 300; i++) {
+      observations.push(...series(5, wave, { step: 60 * 60 * 1000, from }));
+      from += (i + 2) * DAY_MS;
+    }
+    const sampled = downsampleObservations(observations, 400);
+    expect(sampled.length).toBeLessThanOrEqual(400);
+    expect(breaks(sampled)).toHaveLength(99);
+
+    const widest = Date.parse(observations[observations.length - 5].time) - Date.parse(observations[observations.length - 6].time);
+    const lastBreak = Date.parse(breaks(sampled).at(-1).time);
+    expect(lastBreak).toBe(Date.parse(observations[observations.length - 6].time) + widest / 2);
+  });
+
+  it('stays within small thresholds', () => {
+    const observations = series(500, i => (i % 50 === 0 ? null : wave(i)), { step: DAY_MS });
+    for (const threshold of [3, 4, 5, 10, 20]) {
+      expect(downsampleObservations(observations, threshold).length).toBeLessThanOrEqual(threshold);
+    }
+  });
+
+  it('returns nothing for a series without values', () => {
+    expect(downsampleObservations(series(20, () => null), 10)).toEqual([]);
+  });
+});
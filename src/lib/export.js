@@ -0,0 +1,358 @@
+import { strToU8, zipSync } from 'fflate';
+import { mergeSeries, qualityKey } from './series';
+import { getResolution, AGGREGATIONS } from './resample';
+import { hasValue, isApproved, qualityInfo } from './quality';
+import { hasRunoff, runoffSummary, cumulativeVolumes } from './runoff';
+import { formatIsoInZone } from './timeFormat';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+  { id: 'xlsx', label: 'Excel (XLSX)', extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { id: 'json', label: 'JSON', extension: 'json', mime: 'application/json' },
+  { id: 'waterml', label: 'WaterML 2.0 (XML)', extension: 'xml', mime: 'application/xml' },
+];
+
+// Separator names are translated as separator.<name>.
+export const CSV_SEPARATORS = [
+  { id: ';', name: 'semicolon' },
+  { id: ',', name: 'comma' },
+  { id: '\t', name: 'tab' },
+];
+
+export const DECIMAL_SEPARATORS = [
+  { id: ',', name: 'decimalComma' },
+  { id: '.', name: 'decimalPoint' },
+];
+
+// Everything the header block of an export says about one series, with
+// resolution and aggregation named in the language given by t.
+export const seriesMetadata = (series, station, { startDate, endDate, t }) => ({
+  stationName: series.stationName,
+  stationId: series.stationId,
+  riverName: station?.riverName ?? null,
+  latitude: station?.latitude ?? null,
+  longitude: station?.longitude ?? null,
+  drainageArea: series.drainageArea ?? null,
+  parameter: series.parameter,
+  parameterId: series.parameterId,
+  unit: series.unit,
+  resolution: t(`resolution.${getResolution(series.resolution).id}`),
+  aggregation: AGGREGATIONS.some(a => a.id === series.aggregation) ? t(`aggregation.${series.aggregation}`) : null,
+  from: startDate,
+  to: endDate
+});
+
+// Metadata fields in the order they are listed, labelled as metadata.<key>.
+const METADATA_FIELDS = [
+  'stationName',
+  'stationId',
+  'riverName',
+  'latitude',
+  'longitude',
+  'drainageArea',
+  'parameter',
+  'unit',
+  'resolution',
+  'aggregation',
+  'from',
+  'to',
+];
+
+// The context of an export is { approvedOnly, t, timeZone }: timestamps are
+// written as ISO 8601 with the offset of the chosen zone, labels in the
+// language of t.
+const isoTime = (time, context) => formatIsoInZone(time, context.timeZone);
+
+const exportedValue = (obs, approvedOnly) => {
+  if (!hasValue(obs)) return null;
+  if (approvedOnly && !isApproved(obs)) return null;
+  return obs.value;
+};
+
+const seriesRunoff = (series, approvedOnly) => (hasRunoff(series)
+  ? runoffSummary(series.observations, series.drainageArea ?? null, { approvedOnly })
+  : null);
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Runoff figures as they appear in exports: volumes in m³, the rest rounded
+// to what the measurements can carry.
+const runoffFigures = (summary) => ({
+  volume: Math.round(summary.volume),
+  meanDischarge: round(summary.meanDischarge, 3),
+  specificRunoff: round(summary.specificRunoff, 2),
+  depth: round(summary.depth, 1),
+  coverage: round(summary.coverage, 3)
+});
+
+const runoffText = (figures, t) => [
+  `${figures.volume} m³`,
+  `${figures.meanDischarge} m³/s`,
+  figures.specificRunoff !== null && `${figures.specificRunoff} l/s·km²`,
+  figures.depth !== null && `${figures.depth} mm`,
+  t('export.runoffCoverage', { percent: Math.round(figures.coverage * 100) })
+].filter(Boolean).join('; ');
+
+const runoffLines = (series, { approvedOnly, t }) => {
+  const summary = seriesRunoff(series, approvedOnly);
+  if (!summary) return [];
+  return [
+    [t('export.runoffPeriod'), runoffText(runoffFigures(summary), t)],
+    ...summary.years.map(year => [t('export.runoffYear', { year: year.label }), runoffText(runoffFigures(year), t)])
+  ];
+};
+
+const headerLines = (entries, context) => {
+  const { t } = context;
+  return [
+    [t('export.source'), 'NVE HydAPI'],
+    [t('export.exported'), isoTime(Date.now(), context)],
+    [t('export.timeZone'), context.timeZone],
+    [t('export.approvedOnly'), context.approvedOnly ? t('common.yes') : t('common.no')],
+    ...entries.flatMap(({ series, metadata }, i) => [
+      ...(entries.length > 1 ? [[t('export.seriesNumber', { number: i + 1 }), '']] : []),
+      ...METADATA_FIELDS
+        .filter(key => metadata[key] !== null && metadata[key] !== undefined)
+        .map(key => [t(`metadata.${key}`), String(metadata[key])]),
+      ...runoffLines(series, context)
+    ])
+  ];
+};
+
+// Running volume per observation time, for the cumulative column.
+const cumulativeByTime = (series, approvedOnly) => {
+  const volumes = cumulativeVolumes(series.observations, { approvedOnly });
+  return new Map(series.observations.map((obs, i) => [Date.parse(obs.time), Math.round(volumes[i])]));
+};
+
+// One row per timestamp with a value and quality column per series, and a
+// cumulative volume column for discharge series.
+const tableRows = (entries, context) => {
+  const { approvedOnly, t } = context;
+  const series = entries.map(e => e.series);
+  const mixed = new Set(series.map(s => s.parameterId)).size > 1;
+  const cumulative = new Map(series.filter(hasRunoff).map(s => [s.key, cumulativeByTime(s, approvedOnly)]));
+  const headers = [t('export.time', { zone: context.timeZone }), ...series.flatMap(s => {
+    const name = mixed ? `${s.stationName} ${s.stationId} ${s.parameter}` : `${s.stationName} ${s.stationId}`;
+    return [
+      `${name} (${s.unit})`,
+      t('export.quality', { name }),
+      ...(cumulative.has(s.key) ? [t('export.cumulativeVolume', { name })] : [])
+    ];
+  })];
+  const rows = mergeSeries(series).map(row => [
+    isoTime(row.timestamp, context),
+    ...series.flatMap(s => {
+      const quality = row[qualityKey(s.key)];
+      return [
+        exportedValue({ value: row[s.key], quality }, approvedOnly),
+        quality ?? null,
+        ...(cumulative.has(s.key) ? [cumulative.get(s.key).get(row.timestamp) ?? null] : [])
+      ];
+    })
+  ]);
+  return { headers, rows };
+};
+
+const csvCell = (value, { separator, decimal }) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' && decimal === ',' ? String(value).replace('.', ',') : String(value);
+  return text.includes(separator) || text.includes('"') || text.includes('\n')
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+export const toCSV = (entries, context, options) => {
+  const line = (cells) => cells.map(c => csvCell(c, options)).join(options.separator);
+  const { headers, rows } = tableRows(entries, context);
+  return [
+    ...headerLines(entries, context).map(([label, value]) => `# ${label}: ${value}`),
+    line(headers),
+    ...rows.map(line)
+  ].join('\r\n');
+};
+
+export const toJSON = (entries, context) => JSON.stringify({
+  source: 'NVE HydAPI',
+  exportedAt: isoTime(Date.now(), context),
+  timeZone: context.timeZone,
+  approvedOnly: context.approvedOnly,
+  series: entries.map(({ series, metadata }) => {
+    const runoff = seriesRunoff(series, context.approvedOnly);
+    const cumulative = runoff ? cumulativeVolumes(series.observations, { approvedOnly: context.approvedOnly }) : null;
+    return {
+      metadata,
+      ...(runoff ? {
+        runoff: {
+          ...runoffFigures(runoff),
+          years: runoff.years.map(year => ({ year: year.label, from: isoTime(year.from, context), to: isoTime(year.to, context), ...runoffFigures(year) }))
+        }
+      } : {}),
+      observations: series.observations.map((obs, i) => ({
+        time: isoTime(obs.time, context),
+        value: exportedValue(obs, context.approvedOnly),
+        quality: obs.quality ?? null,
+        correction: obs.correction ?? null,
+        ...(cumulative ? { cumulativeVolume: Math.round(cumulative[i]) } : {})
+      }))
+    };
+  })
+}, null, 2);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// A WaterML 2.0 style collection: one OM_Observation per series, with the
+// station as a monitoring point and quality codes as point qualifiers.
+export const toWaterML = (entries, context) => {
+  const members = entries.map(({ series, metadata }, i) => {
+    const points = series.observations.map(obs => {
+      const value = exportedValue(obs, context.approvedOnly);
+      return `          <wml2:point>
+            <wml2:MeasurementTVP>
+              <wml2:time>${escapeXml(isoTime(obs.time, context))}</wml2:time>
+              ${value === null
+                ? '<wml2:value xsi:nil="true"/>'
+                : `<wml2:value>${value}</wml2:value>`}
+              <wml2:metadata>
+                <wml2:TVPMeasurementMetadata>
+                  <wml2:qualifier xlink:title="${escapeXml(context.t(`quality.${qualityInfo(obs.quality).code}`))}"/>
+                </wml2:TVPMeasurementMetadata>
+              </wml2:metadata>
+            </wml2:MeasurementTVP>
+          </wml2:point>`;
+    }).join('\n');
+
+    const position = metadata.latitude !== null && metadata.longitude !== null
+      ? `
+              <sams:shape>
+                <gml:Point gml:id="point-${i}" srsName="urn:ogc:def:crs:EPSG::4326">
+                  <gml:pos>${metadata.latitude} ${metadata.longitude}</gml:pos>
+                </gml:Point>
+              </sams:shape>`
+      : '';
+
+    return `  <wml2:observationMember>
+    <om:OM_Observation gml:id="obs-${i}">
+      <om:phenomenonTime>
+        <gml:TimePeriod gml:id="period-${i}">
+          <gml:beginPosition>${escapeXml(metadata.from)}</gml:beginPosition>
+          <gml:endPosition>${escapeXml(metadata.to)}</gml:endPosition>
+        </gml:TimePeriod>
+      </om:phenomenonTime>
+      <om:resultTime>
+        <gml:TimeInstant gml:id="result-time-${i}">
+          <gml:timePosition>${isoTime(Date.now(), context)}</gml:timePosition>
+        </gml:TimeInstant>
+      </om:resultTime>
+      <om:procedure xlink:title="${escapeXml(metadata.resolution)}${metadata.aggregation ? ` (${escapeXml(metadata.aggregation)})` : ''}"/>
+      <om:observedProperty xlink:href="https://hydapi.nve.no/api/v1/Parameters#${escapeXml(metadata.parameterId)}" xlink:title="${escapeXml(metadata.parameter)}"/>
+      <om:featureOfInterest>
+        <wml2:MonitoringPoint gml:id="station-${i}">
+          <gml:identifier codeSpace="https://hydapi.nve.no">${escapeXml(metadata.stationId)}</gml:identifier>
+          <gml:name>${escapeXml(metadata.stationName)}</gml:name>
+          ${metadata.riverName ? `<gml:description>${escapeXml(metadata.riverName)}</gml:description>` : ''}
+          <sf:sampledFeature xlink:title="${escapeXml(metadata.riverName || '')}"/>${position}
+        </wml2:MonitoringPoint>
+      </om:featureOfInterest>
+      <om:result>
+        <wml2:MeasurementTimeseries gml:id="timeseries-${i}">
+          <wml2:defaultPointMetadata>
+            <wml2:DefaultTVPMeasurementMetadata>
+              <wml2:uom code="${escapeXml(metadata.unit)}"/>
+              <wml2:interpolationType xlink:title="${series.aggregation ? 'Aggregated' : 'Continuous'}"/>
+            </wml2:DefaultTVPMeasurementMetadata>
+          </wml2:defaultPointMetadata>
+${points}
+        </wml2:MeasurementTimeseries>
+      </om:result>
+    </om:OM_Observation>
+  </wml2:observationMember>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<wml2:Collection
+  xmlns:wml2="http://www.opengis.net/waterml/2.0"
+  xmlns:gml="http://www.opengis.net/gml/3.2"
+  xmlns:om="http://www.opengis.net/om/2.0"
+  xmlns:sams="http://www.opengis.net/samplingSpatial/2.0"
+  xmlns:sf="http://www.opengis.net/sampling/2.0"
+  xmlns:xlink="http://www.w3.org/1999/xlink"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  gml:id="nve-export">
+  <wml2:metadata>
+    <wml2:DocumentMetadata gml:id="document-metadata">
+      <wml2:generationDate>${isoTime(Date.now(), context)}</wml2:generationDate>
+      <wml2:generationSystem>nve-vannforing</wml2:generationSystem>
+    </wml2:DocumentMetadata>
+  </wml2:metadata>
+${members}
+</wml2:Collection>
+`;
+};
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const sheetCell = (value, ref) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+};
+
+// A minimal single-sheet workbook: the header block on top, then the table.
+// Values stay numeric so Excel formats them with the user's own locale.
+export const toXLSX = (entries, context) => {
+  const { headers, rows } = tableRows(entries, context);
+  const allRows = [...headerLines(entries, context), [], headers, ...rows];
+  const sheetRows = allRows.map((cells, r) =>
+    `<row r="${r + 1}">${cells.map((value, c) => sheetCell(value, `${columnName(c)}${r + 1}`)).join('')}</row>`
+  ).join('');
+
+  const files = {
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Data" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`,
+  };
+
+  return zipSync(Object.fromEntries(Object.entries(files).map(([name, content]) => [name, strToU8(content)])));
+};
+
+export const buildExport = (format, entries, context, csvOptions) => {
+  switch (format) {
+    case 'xlsx':
+      return toXLSX(entries, context);
+    case 'json':
+      return toJSON(entries, context);
+    case 'waterml':
+      return toWaterML(entries, context);
+    default:
+      // Excel only picks up UTF-8 (æøå, m³/s) in a CSV with a byte order mark.
+      return '\uFEFF' + toCSV(entries, context, csvOptions);
+  }
+};
+
+export const downloadFile = (content, filename, mime) => {
+  const blob = new Blob([content], { type: mime });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => window.URL.revokeObjectURL(url), 0);
+};
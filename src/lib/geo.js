@@ -0,0 +1,71 @@
+export const stationCoordinates = (station) => {
+  const lon = Number(station.longitude);
+  const lat = Number(station.latitude);
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) return null;
+  return [lon, lat];
+};
+
+// Web Mercator without the earth radius: good enough for drawing a country.
+const mercatorY = (lat) => Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360));
+const inverseMercatorY = (y) => (360 / Math.PI) * Math.atan(Math.exp(y)) - 90;
+
+export const boundsOf = (points) => points.reduce(
+  (b, [lon, lat]) => ({
+    minLon: Math.min(b.minLon, lon),
+    maxLon: Math.max(b.maxLon, lon),
+    minLat: Math.min(b.minLat, lat),
+    maxLat: Math.max(b.maxLat, lat)
+  }),
+  { minLon: Infinity, maxLon: -Infinity, minLat: Infinity, maxLat: -Infinity }
+);
+
+// Builds a projection that fits the bounds into a width x height box, keeping
+// the aspect ratio. Returns both directions so drawn shapes can be mapped back
+// to longitude/latitude.
+export const createProjection = (bounds, width, height, padding = 10) => {
+  const x0 = (bounds.minLon * Math.PI) / 180;
+  const x1 = (bounds.maxLon * Math.PI) / 180;
+  const y0 = mercatorY(bounds.minLat);
+  const y1 = mercatorY(bounds.maxLat);
+  const scale = Math.min((width - 2 * padding) / (x1 - x0), (height - 2 * padding) / (y1 - y0));
+  const offsetX = (width - (x1 - x0) * scale) / 2;
+  const offsetY = (height - (y1 - y0) * scale) / 2;
+
+  return {
+    project: ([lon, lat]) => [
+      offsetX + ((lon * Math.PI) / 180 - x0) * scale,
+      height - offsetY - (mercatorY(lat) - y0) * scale
+    ],
+    invert: ([x, y]) => [
+      (((x - offsetX) / scale + x0) * 180) / Math.PI,
+      inverseMercatorY((height - offsetY - y) / scale + y0)
+    ]
+  };
+};
+
+export const geometryToPath = (geometry, project) => {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons
+    .flatMap(rings => rings.map(ring =>
+      ring.map((point, i) => `${i === 0 ? 'M' : 'L'}${project(point).map(v => v.toFixed(1)).join(',')}`).join('') + 'Z'
+    ))
+    .join('');
+};
+
+// Ray casting test; polygon is a list of [lon, lat] vertices.
+export const pointInPolygon = ([x, y], polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+export const stationInArea = (station, area) => {
+  const coordinates = stationCoordinates(station);
+  return coordinates !== null && pointInPolygon(coordinates, area);
+};
@@ -0,0 +1,159 @@
+export const API_BASE_URL = import.meta.env.VITE_NVE_API_BASE_URL || 'https://hydapi.nve.no/api/v1';
+
+// With a proxy (server/proxy.js) the key lives on the server: requests go to
+// the proxy without an X-API-Key header and no key is asked for.
+export const PROXY_URL = import.meta.env.VITE_NVE_PROXY_URL || null;
+export const PROXY_MODE = Boolean(PROXY_URL);
+
+// Whether requests can be made with this key. Callers pass null while no key
+// has been confirmed yet, which holds back requests in proxy mode as well.
+export const hasCredentials = (apiKey) => apiKey !== null && (PROXY_MODE || Boolean(apiKey));
+
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+
+// Errors are told apart by class. What the user sees is translated from the
+// name, as error.<name>, so they carry no message of their own.
+export class HydApiError extends Error {
+  constructor({ status = null, cause } = {}) {
+    super(undefined, { cause });
+    this.name = 'HydApiError';
+    this.status = status;
+  }
+}
+
+export class AuthError extends HydApiError {
+  constructor() {
+    super({ status: 401 });
+    this.name = 'AuthError';
+  }
+}
+
+export class ForbiddenError extends HydApiError {
+  constructor() {
+    super({ status: 403 });
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class NotFoundError extends HydApiError {
+  constructor() {
+    super({ status: 404 });
+    this.name = 'NotFoundError';
+  }
+}
+
+export class RateLimitError extends HydApiError {
+  constructor(retryAfterMs) {
+    super({ status: 429 });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class ServerError extends HydApiError {
+  constructor(status) {
+    super({ status });
+    this.name = 'ServerError';
+  }
+}
+
+export class NetworkError extends HydApiError {
+  constructor(cause) {
+    super({ cause });
+    this.name = 'NetworkError';
+  }
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const retryAfterMs = (response) => {
+  const header = response.headers.get('Retry-After');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const errorForResponse = (response) => {
+  switch (response.status) {
+    case 401:
+      return new AuthError();
+    case 403:
+      return new ForbiddenError();
+    case 404:
+      return new NotFoundError();
+    case 429:
+      return new RateLimitError(retryAfterMs(response));
+    default:
+      if (response.status >= 500) return new ServerError(response.status);
+      return new HydApiError({ status: response.status });
+  }
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Rate limits are retried with exponential backoff (or the server's
+// Retry-After), everything else fails straight away. Aborts are passed through
+// untouched so callers can tell them apart with isAbortError.
+const request = async (apiKey, path, params, { signal } = {}) => {
+  const query = params ? `?${new URLSearchParams(params)}` : '';
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(`${PROXY_URL || API_BASE_URL}${path}${query}`, {
+        headers: PROXY_MODE
+          ? { 'Accept': 'application/json' }
+          : { 'Accept': 'application/json', 'X-API-Key': apiKey },
+        signal
+      });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      throw new NetworkError(error);
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    const error = errorForResponse(response);
+    if (!(error instanceof RateLimitError) || attempt >= MAX_RETRIES) {
+      throw error;
+    }
+    const backoff = BASE_DELAY_MS * 2 ** attempt + Math.random() * BASE_DELAY_MS;
+    await sleep(error.retryAfterMs ?? backoff, signal);
+  }
+};
+
+export const fetchStations = async (apiKey, options) => {
+  const result = await request(apiKey, '/Stations', null, options);
+  return result.data || [];
+};
+
+// Returns the first series of an Observations response, or null when the
+// station has no data for the parameter.
+export const fetchObservations = async (apiKey, { stationId, parameter, resolutionTime, referenceTime }, options) => {
+  const result = await request(apiKey, '/Observations', {
+    StationId: stationId,
+    Parameter: parameter,
+    ResolutionTime: resolutionTime,
+    ReferenceTime: referenceTime
+  }, options);
+  return result.data?.[0] || null;
+};
@@ -0,0 +1,112 @@
+import nb from '../locales/nb';
+import en from '../locales/en';
+import { getParameter } from './parameters';
+import { timeTickFormatter, formatTimestamp, formatTime, formatIsoInZone } from './timeFormat';
+
+export const LANGUAGES = [
+  { id: 'nb', locale: 'nb-NO', name: 'Norsk', messages: nb },
+  { id: 'en', locale: 'en-GB', name: 'English', messages: en },
+];
+
+// Timestamps are shown either as Norwegian wall clock time or as UTC, which
+// is what the API returns.
+export const TIME_ZONES = ['Europe/Oslo', 'UTC'];
+
+export const DEFAULT_LANGUAGE = 'nb';
+export const DEFAULT_TIME_ZONE = 'Europe/Oslo';
+
+const getLanguage = (id) => LANGUAGES.find(l => l.id === id) || LANGUAGES[0];
+
+// Norwegian for browsers set to any Norwegian variant, English otherwise.
+export const detectLanguage = (languages = navigator.languages || [navigator.language]) => (
+  languages.some(tag => /^(nb|nn|no)\b/i.test(tag || '')) ? 'nb' : 'en'
+);
+
+// Messages are flat, with dotted keys and {name} placeholders. A message with
+// a count can have .one and .other variants picked by the language's plural
+// rules. Anything missing falls back to Norwegian, then to the key itself.
+const lookup = (key, messages, plural, count) => {
+  const candidates = count === undefined
+    ? [key]
+    : [`${key}.${plural.select(count)}`, `${key}.other`, key];
+  for (const source of [messages, nb]) {
+    const found = candidates.find(candidate => source[candidate] !== undefined);
+    if (found) return source[found];
+  }
+  return key;
+};
+
+export const createI18n = (languageId, timeZone = DEFAULT_TIME_ZONE) => {
+  const language = getLanguage(languageId);
+  const { locale, messages } = language;
+  const plural = new Intl.PluralRules(locale);
+  const numberFormats = new Map();
+  const zoned = { locale, timeZone };
+
+  const numberFormat = (digits, style) => {
+    const key = `${digits}|${style}`;
+    if (!numberFormats.has(key)) {
+      numberFormats.set(key, new Intl.NumberFormat(locale, digits === undefined
+        ? { style, maximumFractionDigits: 3 }
+        : { style, minimumFractionDigits: digits, maximumFractionDigits: digits }));
+    }
+    return numberFormats.get(key);
+  };
+
+  // Numbers with a fixed number of decimals in the language's own notation;
+  // without digits, up to three as needed. Missing values become a dash.
+  const formatNumber = (value, digits) => (
+    typeof value === 'number' && Number.isFinite(value) ? numberFormat(digits, 'decimal').format(value) : '–'
+  );
+
+  const formatPercent = (fraction, digits = 0) => (
+    typeof fraction === 'number' && Number.isFinite(fraction) ? numberFormat(digits, 'percent').format(fraction) : '–'
+  );
+
+  const t = (key, params = {}) => {
+    const message = lookup(key, messages, plural, typeof params.count === 'number' ? params.count : undefined);
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+  };
+
+  const has = (key) => messages[key] !== undefined || nb[key] !== undefined;
+
+  // Names from the API are Norwegian; known parameters get the translated
+  // name, others keep what the API called them.
+  const parameterName = (id, fallback) => (
+    has(`parameter.${id}`) ? t(`parameter.${id}`) : fallback || t('parameter.unknown', { id: String(id) })
+  );
+
+  const parameterLabel = (id) => {
+    const unit = getParameter(id)?.unit;
+    return unit ? `${parameterName(id)} (${unit})` : parameterName(id);
+  };
+
+  // HydAPI errors are told apart by class; anything else keeps its message.
+  const errorMessage = (error) => (
+    error?.name && has(`error.${error.name}`)
+      ? t(`error.${error.name}`, { status: error.status })
+      : error?.message || t('error.unknown')
+  );
+
+  return {
+    language: language.id,
+    locale,
+    timeZone,
+    t,
+    has,
+    formatNumber,
+    formatPercent,
+    parameterName,
+    parameterLabel,
+    errorMessage,
+    formatTimestamp: (timestamp) => formatTimestamp(timestamp, zoned),
+    formatTime: (timestamp) => formatTime(timestamp, zoned),
+    formatIso: (timestamp) => formatIsoInZone(timestamp, timeZone),
+    tickFormatter: (domain) => timeTickFormatter(domain, zoned),
+    timeZoneName: t(`timeZone.${timeZone}`)
+  };
+};
@@ -0,0 +1,17 @@
+// Parameters offered in the settings and filters. Their names live with the
+// translations, under parameter.<id>.
+export const PARAMETERS = [
+  { id: '1001', unit: 'm³/s' },
+  { id: '1000', unit: 'm' },
+  { id: '1003', unit: '°C' },
+  { id: '17', unit: '°C' },
+  { id: '2001', unit: 'cm' },
+  { id: '3001', unit: 'mm', bars: true },
+];
+
+export const getParameter = (id) => PARAMETERS.find(p => p.id === String(id));
+
+// Accumulated parameters are drawn as bars hanging from the top of their panel,
+// the usual way precipitation is shown above a hydrograph.
+export const drawsAsBars = (id) => Boolean(getParameter(id)?.bars);
+
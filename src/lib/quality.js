@@ -0,0 +1,56 @@
+// Quality and correction codes as returned with every HydAPI observation.
+// Quality names are translated as quality.<code>, corrections as
+// correction.<code>.
+export const QUALITY = {
+  0: { code: 0, color: '#9ca3af' },
+  1: { code: 1, color: '#f59e0b' },
+  2: { code: 2, color: '#10b981' },
+  3: { code: 3, color: '#059669' },
+};
+
+export const CORRECTIONS = [0, 1, 2, 3];
+
+export const qualityInfo = (quality) => QUALITY[quality] || QUALITY[0];
+
+export const hasValue = (obs) => obs.value !== null && obs.value !== undefined && Number.isFinite(obs.value);
+
+export const isApproved = (obs) => obs.quality === 2 || obs.quality === 3;
+
+export const isUncontrolled = (obs) => obs.quality === 1;
+
+// Worst quality of a set of observations, used when several are aggregated
+// into one value. Lower codes are worse, and unknown (0) wins over everything,
+// including a set where no observation carries a quality at all.
+export const worstQuality = (observations) => {
+  const worst = observations.reduce(
+    (min, obs) => (obs.quality === undefined || obs.quality === null ? min : Math.min(min, obs.quality)),
+    Infinity
+  );
+  return Number.isFinite(worst) ? worst : 0;
+};
+
+// Finds holes in a series: a stretch where the time between two consecutive
+// observations is well above the usual step. The usual step is the median
+// spacing, so a few holes do not distort it.
+export const detectGaps = (observations, factor = 2.5) => {
+  if (observations.length < 3) return [];
+
+  const times = observations.map(o => Date.parse(o.time));
+  const steps = [];
+  for (let i = 1; i < times.length; i++) {
+    const step = times[i] - times[i - 1];
+    if (step > 0) steps.push(step);
+  }
+  if (!steps.length) return [];
+
+  const sorted = [...steps].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] - times[i - 1] > median * factor) {
+      gaps.push({ from: times[i - 1], to: times[i], afterIndex: i - 1 });
+    }
+  }
+  return gaps;
+};
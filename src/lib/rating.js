@@ -0,0 +1,174 @@
+import { hasValue } from './quality';
+
+// Pairs stage and discharge observations taken at the same time. Series from
+// HydAPI share timestamps at a given resolution, but a tolerance lets slightly
+// offset loggers still match up.
+export const pairObservations = (stage, discharge, toleranceMs = 0) => {
+  const flows = discharge
+    .filter(obs => hasValue(obs) && obs.value > 0)
+    .map(obs => ({ t: Date.parse(obs.time), value: obs.value }));
+
+  const pairs = [];
+  let j = 0;
+  stage.forEach(obs => {
+    if (!hasValue(obs)) return;
+    const t = Date.parse(obs.time);
+    while (j < flows.length - 1 && Math.abs(flows[j + 1].t - t) <= Math.abs(flows[j].t - t)) j++;
+    const flow = flows[j];
+    if (flow && Math.abs(flow.t - t) <= toleranceMs) {
+      pairs.push({ time: obs.time, h: obs.value, q: flow.value });
+    }
+  });
+  return pairs;
+};
+
+// Least squares fit of ln Q = ln a + b ln(h - h0) for a fixed h0.
+const fitForOffset = (pairs, h0) => {
+  const n = pairs.length;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let sxy = 0;
+  pairs.forEach(({ h, q }) => {
+    const x = Math.log(h - h0);
+    const y = Math.log(q);
+    sx += x;
+    sy += y;
+    sxx += x * x;
+    sxy += x * y;
+  });
+  const denominator = n * sxx - sx * sx;
+  if (!(denominator > 0)) return null;
+
+  const b = (n * sxy - sx * sy) / denominator;
+  const lnA = (sy - b * sx) / n;
+  let sse = 0;
+  pairs.forEach(({ h, q }) => {
+    const r = Math.log(q) - (lnA + b * Math.log(h - h0));
+    sse += r * r;
+  });
+  return { a: Math.exp(lnA), b, h0, sse };
+};
+
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+// For a given h0 the curve is a straight line in log-log space, so h0 is
+// searched for (a coarse scan below the lowest stage, then golden-section
+// refinement) and a and b come from the linear regression.
+const fitCurve = (pairs) => {
+  if (pairs.length < 5) return null;
+
+  let minH = Infinity;
+  let maxH = -Infinity;
+  pairs.forEach(({ h }) => {
+    if (h < minH) minH = h;
+    if (h > maxH) maxH = h;
+  });
+  const range = maxH - minH;
+  if (!(range > 0)) return null;
+
+  // h0 must stay below every observed stage; the upper end leaves a margin so
+  // ln(h - h0) stays finite.
+  const upper = minH - range * 1e-4;
+  const lower = minH - range * 2;
+  const sse = (h0) => fitForOffset(pairs, h0)?.sse ?? Infinity;
+
+  const steps = 40;
+  let best = lower;
+  for (let i = 0; i <= steps; i++) {
+    const h0 = lower + ((upper - lower) * i) / steps;
+    if (sse(h0) < sse(best)) best = h0;
+  }
+
+  const width = (upper - lower) / steps;
+  let lo = Math.max(lower, best - width);
+  let hi = Math.min(upper, best + width);
+  for (let i = 0; i < 40; i++) {
+    const m1 = hi - GOLDEN * (hi - lo);
+    const m2 = lo + GOLDEN * (hi - lo);
+    if (sse(m1) < sse(m2)) {
+      hi = m2;
+    } else {
+      lo = m1;
+    }
+  }
+
+  const fit = fitForOffset(pairs, (lo + hi) / 2);
+  if (!fit) return null;
+
+  let sumY = 0;
+  pairs.forEach(({ q }) => {
+    sumY += Math.log(q);
+  });
+  const meanY = sumY / pairs.length;
+  let sst = 0;
+  pairs.forEach(({ q }) => {
+    sst += (Math.log(q) - meanY) ** 2;
+  });
+
+  return {
+    a: fit.a,
+    b: fit.b,
+    h0: fit.h0,
+    r2: sst > 0 ? 1 - fit.sse / sst : null,
+    count: pairs.length,
+    discharge: (h) => (h > fit.h0 ? fit.a * Math.pow(h - fit.h0, fit.b) : 0)
+  };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Below this spread (about 1 % in Q) the data follows the curve so closely
+// that rounding in the published values would otherwise count as outliers.
+const MIN_SPREAD = 0.01;
+
+// Flags points whose log residual is more than threshold robust standard
+// deviations (from the median absolute deviation) off, so the points being
+// judged do not widen the band that judges them.
+const outlierFlags = (pairs, fit, threshold) => {
+  const logResiduals = pairs.map(({ h, q }) => Math.log(q) - Math.log(fit.discharge(h)));
+  const center = median(logResiduals);
+  const spread = Math.max(MIN_SPREAD, 1.4826 * median(logResiduals.map(r => Math.abs(r - center))));
+  return logResiduals.map(r => Math.abs(r - center) > threshold * spread);
+};
+
+// Fits the rating curve Q = a·(h − h0)^b. Errors are measured in log space,
+// i.e. relative to Q, which keeps the flood points from dominating. Ice and
+// drift points would still drag the curve towards them, so the fit is
+// repeated without the points flagged as outliers.
+export const fitRatingCurve = (pairs, { threshold = 3, iterations = 2 } = {}) => {
+  let fit = fitCurve(pairs);
+  for (let i = 0; fit && i < iterations; i++) {
+    const flags = outlierFlags(pairs, fit, threshold);
+    const inliers = pairs.filter((_, j) => !flags[j]);
+    if (inliers.length === pairs.length) break;
+    fit = fitCurve(inliers) || fit;
+  }
+  return fit && { ...fit, count: pairs.length };
+};
+
+// Residuals against the fitted curve, in percent of the fitted discharge,
+// with outliers flagged the same way as during the fit.
+export const ratingResiduals = (pairs, fit, { threshold = 3 } = {}) => {
+  const flags = outlierFlags(pairs, fit, threshold);
+  return pairs.map((pair, i) => {
+    const fitted = fit.discharge(pair.h);
+    return {
+      ...pair,
+      timestamp: Date.parse(pair.time),
+      fitted,
+      residual: fitted > 0 ? ((pair.q - fitted) / fitted) * 100 : null,
+      outlier: flags[i]
+    };
+  });
+};
+
+// Points along the fitted curve over the observed stage range, for drawing.
+export const ratingCurvePoints = (fit, minH, maxH, count = 60) => Array.from({ length: count + 1 }, (_, i) => {
+  const h = minH + ((maxH - minH) * i) / count;
+  return { h, fitted: fit.discharge(h) };
+});
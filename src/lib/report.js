@@ -0,0 +1,180 @@
+const MARGIN = 14;
+const LINE = 5.5;
+
+// Station fields in the report, labelled as report.station.<field>.
+const STATION_FIELDS = [
+  'stationId',
+  'riverName',
+  'councilName',
+  'countyName',
+  'drainageBasinArea',
+  'latitude',
+  'longitude',
+  'stationStatusName',
+];
+
+// The standard PDF fonts only cover Latin-1, so the minus sign and dashes
+// that number and date formatting use are written as plain hyphens, and the
+// narrow no-break space as a no-break space.
+const pdfText = (value) => String(value ?? '-')
+  .replace(/[\u2212\u2013]/g, '-')
+  .replace(/\u202f/g, '\u00a0');
+
+// A plain text table; columns are { label, width, align } in mm. Starts a new
+// page, with the header repeated, when the rows run past the bottom margin.
+const drawTable = (doc, columns, rows, top) => {
+  const bottom = doc.internal.pageSize.getHeight() - MARGIN;
+  let y = top;
+
+  const drawRow = (cells, bold) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      const { width, align } = columns[i];
+      const text = doc.splitTextToSize(pdfText(cell), width - 2)[0];
+      doc.text(text, align === 'right' ? x + width - 2 : x, y, { align: align === 'right' ? 'right' : 'left' });
+      x += width;
+    });
+    y += LINE;
+  };
+
+  drawRow(columns.map(c => c.label), true);
+  rows.forEach(row => {
+    if (y > bottom) {
+      doc.addPage();
+      y = MARGIN + LINE;
+      drawRow(columns.map(c => c.label), true);
+    }
+    drawRow(row, false);
+  });
+  return y;
+};
+
+const heading = (doc, text, top) => {
+  let y = top;
+  if (y > doc.internal.pageSize.getHeight() - MARGIN - 4 * LINE) {
+    doc.addPage();
+    y = MARGIN + 4;
+  }
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  doc.text(pdfText(text), MARGIN, y);
+  doc.setFontSize(9);
+  return y + LINE + 1;
+};
+
+// Builds the PDF report: the chart on the first page, then station
+// metadata, statistics, runoff and annotations. jsPDF is loaded on demand,
+// so it is only downloaded by those who export a report.
+//   chart: canvas from renderChartCanvas, with the size it was drawn at
+//   i18n: from createI18n, for the language, numbers and time zone
+//   stats: [{ stationName, parameter, unit, stats }]
+//   runoff: [{ stationName, runoff }] from runoffSummary
+//   annotations: [{ stationName, time, text }]
+export const buildReportPdf = async ({ title, subtitle, chart, stations, stats, runoff = [], annotations, i18n }) => {
+  const { t, formatNumber, formatPercent, formatTimestamp } = i18n;
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - 2 * MARGIN;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(pdfText(title), MARGIN, MARGIN + 4);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(100);
+  doc.text(pdfText(subtitle), MARGIN, MARGIN + 10);
+  doc.text(pdfText(t('report.source', { time: formatTimestamp(Date.now()), zone: i18n.timeZoneName })), MARGIN, MARGIN + 15);
+  doc.setTextColor(0);
+
+  const top = MARGIN + 20;
+  const ratio = chart.height / chart.width;
+  const imageWidth = Math.min(contentWidth, (pageHeight - top - MARGIN) / ratio);
+  doc.addImage(chart.canvas.toDataURL('image/png'), 'PNG', MARGIN, top, imageWidth, imageWidth * ratio);
+
+  doc.addPage();
+  let y = heading(doc, t('report.stations'), MARGIN + 4);
+  y = drawTable(
+    doc,
+    [
+      { label: t('report.station'), width: 60 },
+      ...STATION_FIELDS.map(key => ({ label: t(`report.station.${key}`), width: (contentWidth - 60) / STATION_FIELDS.length }))
+    ],
+    stations.map(station => [
+      station.stationName,
+      ...STATION_FIELDS.map(key => (typeof station[key] === 'number' ? formatNumber(station[key]) : station[key]))
+    ]),
+    y
+  );
+
+  y = heading(doc, t('report.statistics'), y + LINE);
+  y = drawTable(
+    doc,
+    [
+      { label: t('report.station'), width: 70 },
+      { label: t('report.parameter'), width: 60 },
+      { label: t('report.unit'), width: 25 },
+      { label: t('report.count'), width: 28, align: 'right' },
+      { label: t('report.min'), width: 28, align: 'right' },
+      { label: t('report.max'), width: 28, align: 'right' },
+      { label: t('report.mean'), width: 28, align: 'right' },
+    ],
+    stats.map(({ stationName, parameter, unit, stats: s }) => [
+      stationName,
+      parameter,
+      unit,
+      s ? formatNumber(s.count, 0) : '-',
+      formatNumber(s?.min, 2),
+      formatNumber(s?.max, 2),
+      formatNumber(s?.avg, 2)
+    ]),
+    y
+  );
+
+  if (runoff.length) {
+    y = heading(doc, t('report.runoff'), y + LINE);
+    y = drawTable(
+      doc,
+      [
+        { label: t('report.station'), width: 70 },
+        { label: t('report.period'), width: 45 },
+        { label: t('report.volume'), width: 35, align: 'right' },
+        { label: t('report.meanDischarge'), width: 30, align: 'right' },
+        { label: 'l/s·km²', width: 30, align: 'right' },
+        { label: 'mm', width: 25, align: 'right' },
+        { label: t('report.coverage'), width: 25, align: 'right' },
+      ],
+      runoff.flatMap(({ stationName, runoff: summary }) => [
+        { label: t('report.wholePeriod'), ...summary },
+        ...summary.years.map(year => ({ ...year, label: t('report.hydrologicalYear', { year: year.label }) }))
+      ].map(entry => [
+        stationName,
+        entry.label,
+        formatNumber(entry.volume / 1e6, 3),
+        formatNumber(entry.meanDischarge, 2),
+        entry.specificRunoff === null ? '-' : formatNumber(entry.specificRunoff, 1),
+        entry.depth === null ? '-' : formatNumber(entry.depth, 0),
+        formatPercent(entry.coverage)
+      ])),
+      y
+    );
+  }
+
+  if (annotations.length) {
+    y = heading(doc, t('report.annotations'), y + LINE);
+    drawTable(
+      doc,
+      [
+        { label: t('report.time'), width: 40 },
+        { label: t('report.station'), width: 60 },
+        { label: t('report.annotation'), width: contentWidth - 100 }
+      ],
+      annotations.map(a => [formatTimestamp(a.time), a.stationName, a.text]),
+      y
+    );
+  }
+
+  return doc.output('blob');
+};
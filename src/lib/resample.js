@@ -0,0 +1,109 @@
+import { hasValue, worstQuality } from './quality';
+
+// HydAPI only serves instantaneous (0), hourly (60) and daily (1440) values,
+// and the hourly and daily values are means. Everything else is derived here.
+// Resolutions and aggregations are named in the translations, as
+// resolution.<id> and aggregation.<id>.
+export const RESOLUTIONS = [
+  { id: 'instant', resolutionTime: '0', bucket: null },
+  { id: 'hourly', resolutionTime: '60', bucket: 'hour' },
+  { id: 'daily', resolutionTime: '1440', bucket: 'day' },
+  { id: 'monthly', resolutionTime: '1440', bucket: 'month' },
+];
+
+export const AGGREGATIONS = [
+  { id: 'mean' },
+  { id: 'min' },
+  { id: 'max' },
+  { id: 'sum' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getResolution = (id) => RESOLUTIONS.find(r => r.id === id) || RESOLUTIONS[0];
+
+export const defaultResolution = (startDate, endDate) => {
+  const days = (new Date(endDate) - new Date(startDate)) / DAY_MS;
+  if (!(days > 0)) return 'instant';
+  if (days <= 14) return 'instant';
+  if (days <= 120) return 'hourly';
+  if (days <= 3 * 365) return 'daily';
+  return 'monthly';
+};
+
+// Precipitation is accumulated per period, everything else is a state value.
+export const defaultAggregation = (parameter) => (parameter === '3001' ? 'sum' : 'mean');
+
+// Works out which HydAPI resolution to request and which bucket to resample
+// into. The API aggregates are means, so for min/max/sum the next finer
+// resolution is fetched and aggregated on the client instead.
+export const fetchPlan = (resolutionId, method) => {
+  const resolution = getResolution(resolutionId);
+  if (!resolution.bucket) {
+    return { resolutionTime: '0', bucket: null, method: null };
+  }
+
+  if (method === 'mean') {
+    const needsResample = resolution.bucket === 'month';
+    return {
+      resolutionTime: resolution.resolutionTime,
+      bucket: needsResample ? resolution.bucket : null,
+      method: needsResample ? method : null
+    };
+  }
+
+  const index = RESOLUTIONS.indexOf(resolution);
+  const source = RESOLUTIONS[index - 1];
+  return { resolutionTime: source.resolutionTime, bucket: resolution.bucket, method };
+};
+
+export const bucketStart = (time, bucket) => {
+  const date = new Date(time);
+  switch (bucket) {
+    case 'hour':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours());
+    case 'day':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    case 'month':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    default:
+      return date.getTime();
+  }
+};
+
+const aggregate = (values, method) => {
+  switch (method) {
+    case 'min':
+      return values.reduce((min, v) => (v < min ? v : min), Infinity);
+    case 'max':
+      return values.reduce((max, v) => (v > max ? v : max), -Infinity);
+    case 'sum':
+      return values.reduce((sum, v) => sum + v, 0);
+    default:
+      return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+};
+
+// Groups observations into UTC hour/day/month buckets and reduces each bucket
+// with the given method. Missing values are skipped; a bucket without any
+// values is dropped. A bucket gets the worst quality of its observations.
+export const resample = (observations, bucket, method = 'mean') => {
+  if (!bucket) return observations;
+
+  const buckets = new Map();
+  observations.forEach(obs => {
+    if (!hasValue(obs)) return;
+    const start = bucketStart(obs.time, bucket);
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(obs);
+  });
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, members]) => ({
+      time: new Date(start).toISOString(),
+      value: aggregate(members.map(o => o.value), method),
+      quality: worstQuality(members),
+      count: members.length
+    }));
+};
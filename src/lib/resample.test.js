@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { bucketStart, resample, fetchPlan, defaultResolution } from './resample';
+
+const obs = (time, value, quality = 2) => ({ time, value, quality });
+
+describe('bucketStart', () => {
+  it('cuts at UTC hour, day and month boundaries', () => {
+    expect(bucketStart('2024-03-10T13:59:59.999Z', 'hour')).toBe(Date.parse('2024-03-10T13:00:00Z'));
+    expect(bucketStart('2024-03-10T14:00:00Z', 'hour')).toBe(Date.parse('2024-03-10T14:00:00Z'));
+    expect(bucketStart('2024-03-10T23:59:59.999Z', 'day')).toBe(Date.parse('2024-03-10T00:00:00Z'));
+    expect(bucketStart('2024-03-11T00:00:00Z', 'day')).toBe(Date.parse('2024-03-11T00:00:00Z'));
+    expect(bucketStart('2024-02-29T23:00:00Z', 'month')).toBe(Date.parse('2024-02-01T00:00:00Z'));
+    expect(bucketStart('2024-03-01T00:00:00Z', 'month')).toBe(Date.parse('2024-03-01T00:00:00Z'));
+  });
+
+  it('ignores offsets in the input', () => {
+    expect(bucketStart('2024-03-11T00:30:00+01:00', 'day')).toBe(Date.parse('2024-03-10T00:00:00Z'));
+  });
+});
+
+describe('resample', () => {
+  const observations = [
+    obs('2024-01-31T22:00:00Z', 4),
+    obs('2024-01-31T23:00:00Z', 8, 1),
+    obs('2024-02-01T00:00:00Z', 1),
+    obs('2024-02-01T01:00:00Z', null),
+    obs('2024-02-01T02:00:00Z', 3)
+  ];
+
+  it('returns the observations when there is no bucket', () => {
+    expect(resample(observations, null)).toBe(observations);
+  });
+
+  it('puts values on a boundary into the bucket that starts there', () => {
+    const days = resample(observations, 'day');
+    expect(days.map(d => d.time)).toEqual(['2024-01-31T00:00:00.000Z', '2024-02-01T00:00:00.000Z']);
+    expect(days.map(d => d.count)).toEqual([2, 2]);
+  });
+
+  it('reduces each bucket with the method, skipping missing values', () => {
+    expect(resample(observations, 'day', 'mean').map(d => d.value)).toEqual([6, 2]);
+    expect(resample(observations, 'day', 'min').map(d => d.value)).toEqual([4, 1]);
+    expect(resample(observations, 'day', 'max').map(d => d.value)).toEqual([8, 3]);
+    expect(resample(observations, 'day', 'sum').map(d => d.value)).toEqual([12, 4]);
+  });
+
+  it('gives a bucket the worst quality of its values', () => {
+    expect(resample(observations, 'day').map(d => d.quality)).toEqual([1, 2]);
+  });
+
+  it('drops buckets without values and sorts the rest', () => {
+    const hours = resample([...observations].reverse(), 'hour');
+    expect(hours.map(h => h.time)).toEqual([
+      '2024-01-31T22:00:00.000Z',
+      '2024-01-31T23:00:00.000Z',
+      '2024-02-01T00:00:00.000Z',
+      '2024-02-01T02:00:00.000Z'
+    ]);
+  });
+});
+
+describe('fetchPlan', () => {
+  it('fetches instantaneous values as they are', () => {
+    expect(fetchPlan('instant', 'max')).toEqual({ resolutionTime: '0', bucket: null, method: null });
+  });
+
+  it('uses the API means directly where it has them', () => {
+    expect(fetchPlan('hourly', 'mean')).toEqual({ resolutionTime: '60', bucket: null, method: null });
+    expect(fetchPlan('daily', 'mean')).toEqual({ resolutionTime: '1440', bucket: null, method: null });
+    expect(fetchPlan('monthly', 'mean')).toEqual({ resolutionTime: '1440', bucket: 'month', method: 'mean' });
+  });
+
+  it('aggregates the next finer resolution for other methods', () => {
+    expect(fetchPlan('hourly', 'max')).toEqual({ resolutionTime: '0', bucket: 'hour', method: 'max' });
+    expect(fetchPlan('daily', 'sum')).toEqual({ resolutionTime: '60', bucket: 'day', method: 'sum' });
+    expect(fetchPlan('monthly', 'min')).toEqual({ resolutionTime: '1440', bucket: 'month', method: 'min' });
+  });
+});
+
+describe('defaultResolution', () => {
+  it('gets coarser as the period grows', () => {
+    expect(defaultResolution('2024-01-01', '2024-01-15')).toBe('instant');
+    expect(defaultResolution('2024-01-01', '2024-01-16')).toBe('hourly');
+    expect(defaultResolution('2024-01-01', '2024-04-30')).toBe('hourly');
+    expect(defaultResolution('2024-01-01', '2024-05-01')).toBe('daily');
+    expect(defaultResolution('2020-01-01', '2024-01-01')).toBe('monthly');
+    expect(defaultResolution('2024-01-02', '2024-01-01')).toBe('instant');
+  });
+});
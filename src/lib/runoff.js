@@ -0,0 +1,121 @@
+import { hasValue, isApproved } from './quality';
+import { medianStep } from './analysis';
+
+export const DISCHARGE_PARAMETER = '1001';
+
+// The hydrological year runs from 1 September and is named by both calendar
+// years, e.g. 2023/24.
+const HYDROLOGICAL_YEAR_START_MONTH = 8;
+const GAP_FACTOR = 2.5;
+const MAX_CUMULATIVE_POINTS = 500;
+
+// Volumes integrate mean flow over time. A sum, minimum or maximum per bucket
+// does not integrate to a volume, so other aggregations get no runoff.
+export const hasRunoff = (series) => series.parameterId === DISCHARGE_PARAMETER
+  && (series.aggregation ?? 'mean') === 'mean';
+
+export const drainageArea = (station) => {
+  const area = Number(station?.drainageBasinArea);
+  return area > 0 ? area : null;
+};
+
+export const hydrologicalYear = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.getUTCMonth() >= HYDROLOGICAL_YEAR_START_MONTH ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+};
+
+export const hydrologicalYearLabel = (year) => `${year}/${String((year + 1) % 100).padStart(2, '0')}`;
+
+// Each discharge value stands for the time until the next observation, which
+// is how HydAPI stamps mean values. The last value, and the last one before a
+// gap, stand for the usual step; the rest of a gap is elapsed time that no
+// value covers. Missing values, and unapproved ones when approvedOnly is set,
+// add no volume and count as time not covered.
+const intervals = (observations, approvedOnly) => {
+  const times = observations.map(obs => Date.parse(obs.time));
+  const step = medianStep(times);
+  return observations.map((obs, i) => {
+    const next = i < times.length - 1 ? times[i + 1] - times[i] : step;
+    const duration = next > 0 && next <= step * GAP_FACTOR ? next : step;
+    const counted = hasValue(obs) && (!approvedOnly || isApproved(obs));
+    return {
+      time: times[i],
+      seconds: duration / 1000,
+      elapsed: Math.max(duration, next) / 1000,
+      value: counted ? obs.value : null
+    };
+  });
+};
+
+// Volume in m³ (from m³/s), mean discharge over the covered time, and, with
+// the catchment area in km², specific runoff in l/s·km² and runoff depth in
+// mm. The depth is the volume spread over the catchment.
+const summarize = (steps, area) => {
+  let volume = 0;
+  let covered = 0;
+  let total = 0;
+  steps.forEach(({ seconds, elapsed, value }) => {
+    total += elapsed;
+    if (value === null) return;
+    volume += value * seconds;
+    covered += seconds;
+  });
+  if (!covered) return null;
+
+  const meanDischarge = volume / covered;
+  return {
+    volume,
+    meanDischarge,
+    coverage: covered / total,
+    specificRunoff: area ? (meanDischarge * 1000) / area : null,
+    depth: area ? (volume / (area * 1e6)) * 1000 : null
+  };
+};
+
+// Running volume in m³ after each observation's interval, aligned with the
+// observations.
+export const cumulativeVolumes = (observations, { approvedOnly = false } = {}) => {
+  let volume = 0;
+  return intervals(observations, approvedOnly).map(({ seconds, value }) => {
+    if (value !== null) volume += value * seconds;
+    return volume;
+  });
+};
+
+// Runoff for a discharge series: totals for the whole series, the same per
+// hydrological year, and a thinned cumulative volume curve for drawing.
+export const runoffSummary = (observations, area, { approvedOnly = false } = {}) => {
+  if (!observations.length) return null;
+  const steps = intervals(observations, approvedOnly);
+  const total = summarize(steps, area);
+  if (!total) return null;
+
+  const byYear = new Map();
+  steps.forEach(step => {
+    const year = hydrologicalYear(step.time);
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push(step);
+  });
+  const years = [...byYear.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([year, yearSteps]) => ({
+      year,
+      label: hydrologicalYearLabel(year),
+      from: new Date(yearSteps[0].time).toISOString(),
+      to: new Date(yearSteps[yearSteps.length - 1].time).toISOString(),
+      ...summarize(yearSteps, area)
+    }))
+    .filter(entry => entry.volume !== undefined);
+
+  const every = Math.max(1, Math.ceil(steps.length / MAX_CUMULATIVE_POINTS));
+  const cumulative = [];
+  let volume = 0;
+  steps.forEach((step, i) => {
+    if (step.value !== null) volume += step.value * step.seconds;
+    if (i % every === 0 || i === steps.length - 1) {
+      cumulative.push({ timestamp: step.time + step.seconds * 1000, volume });
+    }
+  });
+
+  return { area, ...total, years, cumulative };
+};
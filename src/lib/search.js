@@ -0,0 +1,55 @@
+// Letters NFD does not split into base letter + accent. Norwegian users type
+// "Grovai" or "Sorli" as often as "Grovåi" or "Sørli".
+const FOLDED = { æ: 'ae', ø: 'o', œ: 'oe', ß: 'ss', đ: 'd', ł: 'l' };
+
+export const normalizeText = (text) => String(text ?? '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[æøœßđł]/g, c => FOLDED[c])
+  .trim();
+
+// Lower scores rank higher. Each field is tried from the strongest kind of
+// match to the weakest, and the best field decides.
+const FIELDS = [
+  { field: 'stationName', weight: 0 },
+  { field: 'riverName', weight: 1 },
+  { field: 'councilName', weight: 3 },
+  { field: 'countyName', weight: 4 },
+];
+
+const matchScore = (text, term) => {
+  if (!text) return null;
+  if (text === term) return 0;
+  if (text.startsWith(term)) return 1;
+  if (text.split(/[\s\-/.,()]+/).some(word => word.startsWith(term))) return 2;
+  if (text.includes(term)) return 4;
+  return null;
+};
+
+const stationScore = (station, term) => {
+  const id = String(station.stationId ?? '');
+  if (id === term) return 0;
+
+  let best = id.startsWith(term) ? 1 : null;
+  FIELDS.forEach(({ field, weight }) => {
+    const score = matchScore(normalizeText(station[field]), term);
+    if (score !== null && (best === null || score + weight < best)) {
+      best = score + weight;
+    }
+  });
+  return best;
+};
+
+// Filters and ranks stations by how well they match the search term. Ties
+// keep the order of the input, which is alphabetical from the API.
+export const searchStations = (stations, query) => {
+  const term = normalizeText(query);
+  if (!term) return stations;
+
+  return stations
+    .map((station, index) => ({ station, index, score: stationScore(station, term) }))
+    .filter(r => r.score !== null)
+    .sort((a, b) => a.score - b.score || a.index - b.index)
+    .map(r => r.station);
+};
@@ -0,0 +1,154 @@
+import { hasValue, isApproved, isUncontrolled, detectGaps } from './quality';
+
+export const SERIES_COLORS = [
+  '#3b82f6',
+  '#ef4444',
+  '#10b981',
+  '#f59e0b',
+  '#8b5cf6',
+  '#ec4899',
+  '#14b8a6',
+  '#f97316',
+  '#6366f1',
+  '#84cc16',
+];
+
+export const seriesColor = (index) => SERIES_COLORS[index % SERIES_COLORS.length];
+
+// Station IDs contain dots ("2.11.0"), which recharts would treat as a path in
+// a dataKey, so every series gets a flat key for the merged chart rows. A
+// station can have several parameters in view, so the parameter is part of it.
+export const seriesKey = (stationId, parameterId) => {
+  const key = `s_${String(stationId).replace(/[^a-zA-Z0-9]/g, '_')}`;
+  return parameterId === undefined ? key : `${key}_p${parameterId}`;
+};
+
+export const qualityKey = (key) => `${key}_quality`;
+export const correctionKey = (key) => `${key}_correction`;
+export const uncontrolledKey = (key) => `${key}_uncontrolled`;
+
+// Merges several observation series into one row per timestamp, sorted by
+// time, for the table and exports. Series that have no observation at a given
+// timestamp are left out of that row so they show up as missing.
+export const mergeSeries = (seriesList) => {
+  const rows = new Map();
+
+  seriesList.forEach(series => {
+    const key = seriesKey(series.stationId, series.parameterId);
+    series.observations.forEach(obs => {
+      const timestamp = new Date(obs.time).getTime();
+      if (!rows.has(timestamp)) {
+        rows.set(timestamp, { timestamp, time: obs.time });
+      }
+      const row = rows.get(timestamp);
+      row[key] = hasValue(obs) ? obs.value : null;
+      row[qualityKey(key)] = obs.quality;
+      if (obs.correction !== undefined) row[correctionKey(key)] = obs.correction;
+    });
+  });
+
+  return [...rows.values()].sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Builds the rows the chart draws from. Compared to mergeSeries:
+// - a series is interpolated at timestamps that only other series have, so
+//   stations with different time steps still draw as continuous lines;
+// - detected gaps and missing values get an explicit null, which breaks the
+//   line (the Line components must not use connectNulls);
+// - stretches touching uncontrolled values go to a separate key so they can
+//   be drawn dashed. Both keys share the boundary point so the line joins up.
+export const buildChartRows = (seriesList) => {
+  const prepared = seriesList.map(series => {
+    const points = series.observations.map(obs => ({
+      t: Date.parse(obs.time),
+      value: hasValue(obs) ? obs.value : null,
+      uncontrolled: isUncontrolled(obs)
+    }));
+    const gapAfter = new Set(detectGaps(series.observations).map(g => g.afterIndex));
+    return { key: seriesKey(series.stationId, series.parameterId), points, gapAfter };
+  });
+
+  const timestamps = new Set();
+  prepared.forEach(({ points, gapAfter }) => {
+    points.forEach(p => timestamps.add(p.t));
+    gapAfter.forEach(i => timestamps.add(Math.round((points[i].t + points[i + 1].t) / 2)));
+  });
+  const rows = [...timestamps].sort((a, b) => a - b).map(timestamp => ({ timestamp }));
+
+  prepared.forEach(({ key, points, gapAfter }) => {
+    if (!points.length) return;
+    const dashedKey = uncontrolledKey(key);
+    const last = points.length - 1;
+
+    const segment = (i) => {
+      if (i < 0 || i >= last || gapAfter.has(i)) return null;
+      const a = points[i];
+      const b = points[i + 1];
+      if (a.value === null || b.value === null) return null;
+      return a.uncontrolled || b.uncontrolled ? 'dashed' : 'solid';
+    };
+
+    let i = 0;
+    rows.forEach(row => {
+      const t = row.timestamp;
+      if (t < points[0].t || t > points[last].t) return;
+      while (i < last && points[i + 1].t <= t) i++;
+
+      const a = points[i];
+      if (a.t === t) {
+        const before = segment(i - 1);
+        const after = segment(i);
+        const isolated = a.value !== null && !before && !after;
+        row[key] = before === 'solid' || after === 'solid' || (isolated && !a.uncontrolled) ? a.value : null;
+        row[dashedKey] = before === 'dashed' || after === 'dashed' || (isolated && a.uncontrolled) ? a.value : null;
+        return;
+      }
+
+      const kind = segment(i);
+      const b = points[i + 1];
+      const value = kind && a.value + ((b.value - a.value) * (t - a.t)) / (b.t - a.t);
+      row[key] = kind === 'solid' ? value : null;
+      row[dashedKey] = kind === 'dashed' ? value : null;
+    });
+  });
+
+  return rows;
+};
+
+// Statistics over the observations that have a value. With approvedOnly set,
+// values that have not passed NVE's quality control are left out as well.
+export const computeStats = (observations, { approvedOnly = false } = {}) => {
+  let count = 0;
+  let missing = 0;
+  let excluded = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  observations.forEach(obs => {
+    if (!hasValue(obs)) {
+      missing++;
+      return;
+    }
+    if (approvedOnly && !isApproved(obs)) {
+      excluded++;
+      return;
+    }
+    count++;
+    sum += obs.value;
+    if (obs.value < min) min = obs.value;
+    if (obs.value > max) max = obs.value;
+  });
+
+  if (!count) return null;
+
+  return {
+    count,
+    missing,
+    excluded,
+    gaps: detectGaps(observations).length,
+    min,
+    max,
+    avg: sum / count
+  };
+};
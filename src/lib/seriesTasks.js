@@ -0,0 +1,41 @@
+import { computeStats, mergeSeries } from './series';
+import { resample } from './resample';
+import { downsampleObservations } from './downsample';
+import { hasRunoff, runoffSummary } from './runoff';
+
+const inDomain = (observations, domain) => {
+  if (!domain) return observations;
+  const [from, to] = domain;
+  return observations.filter(obs => {
+    const t = Date.parse(obs.time);
+    return t >= from && t <= to;
+  });
+};
+
+// The heavy per-series work, kept free of DOM and React so it can run both in
+// the series worker and, where workers are unavailable, on the main thread.
+export const TASKS = {
+  // Normalizes fetched observations into the requested buckets.
+  resample: ({ observations, bucket, method }) => resample(observations, bucket, method),
+
+  // Statistics and a downsampled copy for drawing, for each series, limited to
+  // the zoomed time range when there is one. Runoff for mean discharge series
+  // is a total per hydrological year, so like the exports it always covers the
+  // whole period, as does the coarser overview copy. While zoomed in on more
+  // detailed data, the whole period is the series as first fetched.
+  prepare: ({ series, approvedOnly, domain, threshold, overviewThreshold }) => series.map(s => {
+    const observations = inDomain(s.observations, domain);
+    const period = s.overviewObservations || s.observations;
+    return {
+      key: s.key,
+      stats: computeStats(observations, { approvedOnly }),
+      runoff: hasRunoff(s) ? runoffSummary(period, s.drainageArea, { approvedOnly }) : null,
+      observations: downsampleObservations(observations, threshold),
+      overview: downsampleObservations(period, overviewThreshold)
+    };
+  }),
+
+  // One row per timestamp across all series, at full resolution, for the raw
+  // data table.
+  merge: ({ series }) => mergeSeries(series),
+};
@@ -0,0 +1,46 @@
+import { TASKS } from './seriesTasks';
+
+let worker;
+let nextId = 0;
+const pending = new Map();
+
+// One worker for the whole app, started on first use. If it cannot be created
+// or dies, tasks quietly run on the main thread instead.
+const getWorker = () => {
+  if (worker !== undefined) return worker;
+  try {
+    worker = new Worker(new URL('../workers/series.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data: { id, result, error } }) => {
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    };
+    worker.onerror = () => {
+      worker.terminate();
+      worker = null;
+      pending.forEach(({ type, payload, resolve, reject }) => {
+        Promise.resolve().then(() => TASKS[type](payload)).then(resolve, reject);
+      });
+      pending.clear();
+    };
+  } catch {
+    worker = null;
+  }
+  return worker;
+};
+
+export const runTask = (type, payload) => {
+  const target = getWorker();
+  if (!target) return Promise.resolve().then(() => TASKS[type](payload));
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { type, payload, resolve, reject });
+    target.postMessage({ id, type, payload });
+  });
+};
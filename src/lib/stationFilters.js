@@ -0,0 +1,120 @@
+// Filters built from the /Stations metadata. Stations without the field a
+// filter looks at (older entries, or a proxy that strips metadata) only pass
+// while that filter is unset.
+export const EMPTY_FILTERS = {
+  county: '',
+  council: '',
+  areaMin: '',
+  areaMax: '',
+  regulated: 'all',
+  status: 'all',
+  parameters: [],
+  fromYear: '',
+  toYear: ''
+};
+
+export const REGULATION_OPTIONS = ['all', 'regulated', 'unregulated'];
+
+export const STATUS_OPTIONS = ['all', 'active', 'closed'];
+
+const hasSeriesList = (station) => Array.isArray(station.seriesList);
+
+// Parameter IDs the station has series for, as strings like in PARAMETERS, or
+// null when the station carries no series list at all.
+export const stationParameters = (station) => {
+  if (!hasSeriesList(station)) return null;
+  return [...new Set(station.seriesList.map(s => String(s.parameter)))];
+};
+
+// First and last year with data for a parameter, or over all series when no
+// parameter is given. A series without serieTo is still running.
+export const seriesPeriod = (station, parameter) => {
+  if (!hasSeriesList(station)) return null;
+  const series = station.seriesList.filter(s => !parameter || String(s.parameter) === String(parameter));
+  if (!series.length) return null;
+
+  const thisYear = new Date().getFullYear();
+  return series.reduce((period, s) => ({
+    from: Math.min(period.from, s.serieFrom ? new Date(s.serieFrom).getFullYear() : thisYear),
+    to: Math.max(period.to, s.serieTo ? new Date(s.serieTo).getFullYear() : thisYear)
+  }), { from: Infinity, to: -Infinity });
+};
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+// Both return null when the station does not say, so the filter can reject it
+// instead of guessing.
+export const isRegulated = (station) => {
+  const fields = [station.regulationArea, station.regulationPartReservoirs].filter(v => !isMissing(v));
+  return fields.length ? fields.some(v => Number(v) > 0) : null;
+};
+
+export const isActive = (station) => (
+  isMissing(station.stationStatusName) ? null : station.stationStatusName !== 'Nedlagt'
+);
+
+// Counties and the municipalities in each, sorted, for the filter selects.
+export const filterOptions = (stations) => {
+  const counties = new Map();
+  stations.forEach(station => {
+    if (!station.countyName) return;
+    if (!counties.has(station.countyName)) counties.set(station.countyName, new Set());
+    if (station.councilName) counties.get(station.countyName).add(station.councilName);
+  });
+
+  const sort = (values) => [...values].sort((a, b) => a.localeCompare(b, 'nb'));
+  return {
+    counties: sort(counties.keys()),
+    councils: (county) => sort(county ? counties.get(county) || [] : [...counties.values()].flatMap(c => [...c]))
+  };
+};
+
+export const activeFilterCount = (filters) => [
+  filters.county,
+  filters.council,
+  filters.areaMin !== '' || filters.areaMax !== '',
+  filters.regulated !== 'all',
+  filters.status !== 'all',
+  filters.parameters.length,
+  filters.fromYear !== '' || filters.toYear !== '',
+].filter(Boolean).length;
+
+export const matchesFilters = (station, filters) => {
+  if (filters.county && station.countyName !== filters.county) return false;
+  if (filters.council && station.councilName !== filters.council) return false;
+
+  if (filters.areaMin !== '' || filters.areaMax !== '') {
+    const area = Number(station.drainageBasinArea);
+    if (!Number.isFinite(area)) return false;
+    if (filters.areaMin !== '' && area < Number(filters.areaMin)) return false;
+    if (filters.areaMax !== '' && area > Number(filters.areaMax)) return false;
+  }
+
+  if (filters.regulated !== 'all') {
+    const regulated = isRegulated(station);
+    if (regulated === null || regulated !== (filters.regulated === 'regulated')) return false;
+  }
+  if (filters.status !== 'all') {
+    const active = isActive(station);
+    if (active === null || active !== (filters.status === 'active')) return false;
+  }
+
+  if (filters.parameters.length) {
+    const available = stationParameters(station);
+    if (!available || !filters.parameters.every(p => available.includes(p))) return false;
+  }
+
+  // The chosen years must lie inside the series period of every required
+  // parameter, or of any series when no parameter is required.
+  if (filters.fromYear !== '' || filters.toYear !== '') {
+    const periods = filters.parameters.length
+      ? filters.parameters.map(p => seriesPeriod(station, p))
+      : [seriesPeriod(station)];
+    const covers = periods.every(period => period
+      && (filters.fromYear === '' || period.from <= Number(filters.fromYear))
+      && (filters.toYear === '' || period.to >= Number(filters.toYear)));
+    if (!covers) return false;
+  }
+
+  return true;
+};
@@ -0,0 +1,20 @@
+const PREFIX = 'nve-vannforing:';
+
+// localStorage can be full, disabled or hold something unparsable; none of
+// that should take the app down, so failures fall back to the default.
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch {
+    // Ignore quota and privacy mode errors; the value just won't persist.
+  }
+};
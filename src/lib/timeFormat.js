@@ -0,0 +1,113 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Label formats for the time axis, from the shortest span they suit to the
+// longest. Short labels keep the ticks horizontal and readable.
+const AXIS_FORMATS = [
+  { maxSpan: 3 * DAY_MS, options: { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' } },
+  { maxSpan: 180 * DAY_MS, options: { day: '2-digit', month: '2-digit' } },
+  { maxSpan: 5 * 365 * DAY_MS, options: { month: 'short', year: 'numeric' } },
+  { maxSpan: Infinity, options: { year: 'numeric' } },
+];
+
+// Formatting is the hot path of the chart ticks and the table, and building
+// an Intl.DateTimeFormat is far slower than using one.
+const formatters = new Map();
+
+const dateTimeFormat = (locale, timeZone, options) => {
+  const key = `${locale}|${timeZone}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat(locale, { ...options, timeZone }));
+  }
+  return formatters.get(key);
+};
+
+// Anything that is not a valid instant shows as a dash, like a missing number,
+// rather than making Intl throw in the middle of a render.
+const MISSING = '–';
+
+const validDate = (timestamp) => {
+  if (timestamp === null || timestamp === undefined) return null;
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const formatDate = (format, timestamp) => {
+  const date = validDate(timestamp);
+  return date ? format.format(date) : MISSING;
+};
+
+// Locale and zone are optional everywhere; without them the browser's own are
+// used. The API returns UTC, so a zone shifts the wall clock shown, not the
+// instant.
+export const timeTickFormatter = ([from, to], { locale, timeZone } = {}) => {
+  const span = to - from;
+  const { options } = AXIS_FORMATS.find(f => span <= f.maxSpan) || AXIS_FORMATS[AXIS_FORMATS.length - 1];
+  const format = dateTimeFormat(locale, timeZone, options);
+  return (timestamp) => formatDate(format, timestamp);
+};
+
+// The exact time of an observation, for tooltips and lists.
+export const formatTimestamp = (timestamp, { locale, timeZone } = {}) => formatDate(dateTimeFormat(locale, timeZone, {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+}), timestamp);
+
+export const formatTime = (timestamp, { locale, timeZone } = {}) => formatDate(dateTimeFormat(locale, timeZone, {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+}), timestamp);
+
+// Minutes the zone is ahead of UTC at the given instant, read back from the
+// wall clock Intl shows for it.
+export const zoneOffset = (timestamp, timeZone) => {
+  if (!timeZone || timeZone === 'UTC') return 0;
+  const parts = Object.fromEntries(dateTimeFormat('en-US', timeZone, {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(timestamp)).map(({ type, value }) => [type, Number(value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((wallClock - Math.floor(timestamp / MINUTE_MS) * MINUTE_MS) / MINUTE_MS);
+};
+
+// ISO 8601 in the given zone, with its offset, e.g. 2024-06-01T14:00:00+02:00.
+// UTC keeps the Z suffix the API uses.
+export const formatIsoInZone = (timestamp, timeZone) => {
+  const time = validDate(timestamp)?.getTime();
+  if (time === undefined) return MISSING;
+  const offset = zoneOffset(time, timeZone);
+  const local = new Date(time + offset * MINUTE_MS).toISOString().slice(0, 19);
+  if (!offset && (!timeZone || timeZone === 'UTC')) return `${local}Z`;
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${local}${offset < 0 ? '-' : '+'}${hours}:${minutes}`;
+};
+
+// datetime-local inputs hold a wall clock time without a zone; these convert
+// between that and an instant in the given zone.
+export const toDateTimeInput = (timestamp, timeZone) => {
+  const iso = formatIsoInZone(timestamp, timeZone);
+  return iso === MISSING ? '' : iso.slice(0, 16);
+};
+
+// Date.parse is lenient with odd strings, so the input format is checked
+// first; seconds are optional.
+const DATE_TIME_INPUT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+export const fromDateTimeInput = (value, timeZone) => {
+  if (!DATE_TIME_INPUT.test(value || '')) return null;
+  const wallClock = Date.parse(`${value.length === 16 ? `${value}:00` : value}Z`);
+  if (Number.isNaN(wallClock)) return null;
+  // The offset depends on the instant, which depends on the offset; a second
+  // pass settles it, except inside the hour skipped when clocks go forward.
+  const guess = wallClock - zoneOffset(wallClock, timeZone) * MINUTE_MS;
+  return wallClock - zoneOffset(guess, timeZone) * MINUTE_MS;
+};
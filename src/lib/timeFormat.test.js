@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import {
+  timeTickFormatter,
+  formatTimestamp,
+  formatTime,
+  formatIsoInZone,
+  toDateTimeInput,
+  fromDateTimeInput
+} from './timeFormat';
+
+const SUMMER = Date.UTC(2024, 5, 1, 12);
+const WINTER = Date.UTC(2024, 0, 1, 12);
+
+describe('formatIsoInZone', () => {
+  it('keeps the Z suffix for UTC', () => {
+    expect(formatIsoInZone(SUMMER, 'UTC')).toBe('2024-06-01T12:00:00Z');
+  });
+
+  it('writes Norwegian time with its offset, summer and winter', () => {
+    expect(formatIsoInZone(SUMMER, 'Europe/Oslo')).toBe('2024-06-01T14:00:00+02:00');
+    expect(formatIsoInZone(new Date(WINTER).toISOString(), 'Europe/Oslo')).toBe('2024-01-01T13:00:00+01:00');
+  });
+});
+
+describe('datetime-local conversion', () => {
+  it('round-trips through the wall clock of the zone', () => {
+    expect(toDateTimeInput(SUMMER, 'Europe/Oslo')).toBe('2024-06-01T14:00');
+    expect(fromDateTimeInput('2024-06-01T14:00', 'Europe/Oslo')).toBe(SUMMER);
+    expect(fromDateTimeInput('2024-01-01T13:00', 'Europe/Oslo')).toBe(WINTER);
+    expect(fromDateTimeInput('2024-06-01T12:00', 'UTC')).toBe(SUMMER);
+    expect(fromDateTimeInput('2024-06-01T12:00:30', 'UTC')).toBe(SUMMER + 30000);
+  });
+
+  it('rejects input that is not a time', () => {
+    expect(fromDateTimeInput('', 'UTC')).toBeNull();
+    expect(fromDateTimeInput('2024-13-01T12:00', 'UTC')).toBeNull();
+  });
+});
+
+describe('invalid times', () => {
+  // An empty view has the domain [Infinity, -Infinity]; formatting it must not
+  // throw during render.
+  it('formats as a dash instead of throwing', () => {
+    for (const value of [Infinity, -Infinity, NaN, null, undefined, 'not a time']) {
+      expect(formatTimestamp(value, { locale: 'nb-NO', timeZone: 'Europe/Oslo' })).toBe('–');
+      expect(formatTime(value, { locale: 'en-GB', timeZone: 'UTC' })).toBe('–');
+      expect(formatIsoInZone(value, 'Europe/Oslo')).toBe('–');
+      expect(toDateTimeInput(value, 'UTC')).toBe('');
+    }
+  });
+
+  it('gives axis ticks a dash for an empty domain', () => {
+    expect(timeTickFormatter([Infinity, -Infinity], { locale: 'nb-NO' })(Infinity)).toBe('–');
+  });
+});
+
+describe('formatTimestamp', () => {
+  it('shows the instant in the chosen zone and locale', () => {
+    expect(formatTimestamp(SUMMER, { locale: 'nb-NO', timeZone: 'Europe/Oslo' })).toBe('01.06.2024, 14:00');
+    expect(formatTimestamp(SUMMER, { locale: 'en-GB', timeZone: 'UTC' })).toBe('01/06/2024, 12:00');
+  });
+});
@@ -0,0 +1,58 @@
+import { RESOLUTIONS, AGGREGATIONS, defaultAggregation } from './resample';
+import { getParameter } from './parameters';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isoDay = (date) => date.toISOString().split('T')[0];
+
+export const defaultDateRange = () => {
+  const today = new Date();
+  const weekAgo = new Date(today);
+  weekAgo.setDate(weekAgo.getDate() - 7);
+  return { from: isoDay(weekAgo), to: isoDay(today) };
+};
+
+// Reads the view from a query string. Anything missing or invalid falls back
+// to the defaults, so a hand-edited or outdated link still opens.
+export const parseViewState = (search) => {
+  const params = new URLSearchParams(search);
+  const defaults = defaultDateRange();
+
+  const parameter = getParameter(params.get('parameter'))?.id || '1001';
+  const extraParameters = (params.get('extra') || '')
+    .split(',')
+    .filter(id => getParameter(id) && id !== parameter);
+  const resolution = params.get('resolution');
+  const aggregation = params.get('aggregation');
+  const from = params.get('from');
+  const to = params.get('to');
+
+  return {
+    stations: (params.get('stations') || '').split(',').filter(Boolean),
+    parameter,
+    extraParameters: [...new Set(extraParameters)],
+    from: DATE_PATTERN.test(from) ? from : defaults.from,
+    to: DATE_PATTERN.test(to) ? to : defaults.to,
+    resolution: RESOLUTIONS.some(r => r.id === resolution) ? resolution : 'auto',
+    aggregation: AGGREGATIONS.some(a => a.id === aggregation) ? aggregation : defaultAggregation(parameter),
+    percentiles: params.get('percentiles') !== '0',
+    approvedOnly: params.get('approved') === '1'
+  };
+};
+
+// Options left at their default are omitted to keep links short.
+export const serializeViewState = (view) => {
+  const params = new URLSearchParams();
+  if (view.stations.length) params.set('stations', view.stations.join(','));
+  params.set('parameter', view.parameter);
+  if (view.extraParameters.length) params.set('extra', view.extraParameters.join(','));
+  params.set('from', view.from);
+  params.set('to', view.to);
+  if (view.resolution !== 'auto') params.set('resolution', view.resolution);
+  if (view.aggregation !== defaultAggregation(view.parameter)) params.set('aggregation', view.aggregation);
+  if (!view.percentiles) params.set('percentiles', '0');
+  if (view.approvedOnly) params.set('approved', '1');
+  // URLSearchParams encodes the commas between station IDs, which makes
+  // shared links needlessly hard to read.
+  return params.toString().replace(/%2C/g, ',');
+};
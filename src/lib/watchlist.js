@@ -0,0 +1,33 @@
+export const POLL_INTERVAL_MS = 15 * 60 * 1000;
+export const MAX_ALERTS = 200;
+
+export const statusKey = (stationId, parameter) => `${stationId}|${parameter}`;
+
+// 'above' / 'below' when a threshold is crossed, 'ok' inside the limits and
+// null when there is nothing to compare.
+export const evaluateThreshold = (value, threshold) => {
+  if (value === null || value === undefined || !threshold) return null;
+  if (threshold.upper !== null && threshold.upper !== undefined && value > threshold.upper) return 'above';
+  if (threshold.lower !== null && threshold.lower !== undefined && value < threshold.lower) return 'below';
+  return 'ok';
+};
+
+export const latestValue = (observations) => {
+  for (let i = observations.length - 1; i >= 0; i--) {
+    const obs = observations[i];
+    if (obs.value !== null && obs.value !== undefined) return obs;
+  }
+  return null;
+};
+
+// The last two days are enough to find the newest value even for stations
+// that report with some delay.
+export const latestReferenceTime = (now = new Date()) => {
+  const from = new Date(now);
+  from.setDate(from.getDate() - 2);
+  return `${from.toISOString().split('T')[0]}/${now.toISOString()}`;
+};
+
+export const watchTargets = (entries) => entries.flatMap(entry =>
+  Object.keys(entry.thresholds).map(parameter => ({ entry, parameter }))
+);
@@ -0,0 +1,373 @@
+export default {
+  'app.title': 'NVE Streamflow Data',
+  'app.subtitle': 'Norwegian Water Resources and Energy Directorate',
+  'app.offline': 'Cannot reach NVE. Showing stored data, which may be out of date.',
+
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.yes': 'Yes',
+  'common.no': 'No',
+
+  'locale.language': 'Language',
+  'locale.timeZone': 'Time zone',
+  'timeZone.Europe/Oslo': 'Norwegian time',
+  'timeZone.Europe/Oslo.short': 'Norway',
+  'timeZone.Europe/Oslo.hint': 'Show times in Norwegian local time (CET/CEST)',
+  'timeZone.UTC': 'UTC',
+  'timeZone.UTC.short': 'UTC',
+  'timeZone.UTC.hint': 'Show times in UTC, as NVE provides them',
+
+  'unit.millionCubicMetres': 'million m³',
+
+  'error.unknown': 'Unknown error',
+  'error.changeApiKey': 'Change API key',
+  'error.AuthError': 'The API key was rejected. Check that it is correct.',
+  'error.ForbiddenError': 'The API key does not give access to this data.',
+  'error.NotFoundError': 'NVE could not find the data.',
+  'error.RateLimitError': 'Too many requests to NVE. Wait a moment and try again.',
+  'error.ServerError': 'NVE responded with an error ({status}). Try again later.',
+  'error.NetworkError': 'Cannot reach NVE. Check your network connection.',
+  'error.HydApiError': 'Unexpected response from NVE ({status}).',
+  'error.noData': 'No data for {parameter} in the period.',
+  'error.ChartImageError': 'Could not draw the chart as an image',
+
+  'apiKey.intro': 'Search and visualise streamflow data from Norwegian gauging stations',
+  'apiKey.label': 'API key',
+  'apiKey.placeholder': 'Enter your NVE API key',
+  'apiKey.connect': 'Connect',
+  'apiKey.connecting': 'Connecting...',
+
+  'search.title': 'Find a station',
+  'search.placeholder': 'Search by name, river, municipality or ID...',
+  'search.found.one': '{count} station found',
+  'search.found.other': '{count} stations found',
+  'search.foundInArea.one': '{count} station found in the selected area',
+  'search.foundInArea.other': '{count} stations found in the selected area',
+
+  'filters.title': 'Filters',
+  'filters.county': 'County',
+  'filters.allCounties': 'All counties',
+  'filters.council': 'Municipality',
+  'filters.allCouncils': 'All municipalities',
+  'filters.area': 'Catchment area (km²)',
+  'filters.from': 'From',
+  'filters.to': 'To',
+  'filters.regulation': 'Regulation',
+  'filters.regulation.all': 'All',
+  'filters.regulation.regulated': 'Regulated',
+  'filters.regulation.unregulated': 'Unregulated',
+  'filters.status': 'Status',
+  'filters.status.all': 'All',
+  'filters.status.active': 'Active',
+  'filters.status.closed': 'Closed',
+  'filters.parameters': 'Measures',
+  'filters.years': 'Data in the period (years)',
+  'filters.reset': 'Reset filters',
+
+  'map.title': 'Map',
+  'map.rectangle': 'Draw rectangle',
+  'map.polygon': 'Draw polygon (double-click to finish)',
+  'map.clearArea': 'Clear area',
+  'map.rectangleHint': 'Click and drag to select an area',
+  'map.polygonHint': 'Click to add corners, double-click to finish',
+  'map.shown.one': '{count} station shown',
+  'map.shown.other': '{count} stations shown',
+
+  'settings.title': 'Settings',
+  'settings.parameter': 'Parameter',
+  'settings.extraParameters': 'Also show in separate panels',
+  'settings.resolution': 'Resolution',
+  'settings.resolution.auto': 'Automatic ({resolution})',
+  'settings.aggregation': 'Aggregation',
+  'settings.from': 'From date',
+  'settings.to': 'To date',
+  'settings.fetch': 'Fetch data',
+  'settings.loading': 'Loading...',
+  'settings.approvedOnly': 'Only quality-controlled values in statistics and exports',
+  'settings.clearCache': 'Clear local cache',
+
+  'parameter.1000': 'Water level',
+  'parameter.1001': 'Discharge',
+  'parameter.1003': 'Water temperature',
+  'parameter.17': 'Air temperature',
+  'parameter.2001': 'Snow depth',
+  'parameter.3001': 'Precipitation',
+  'parameter.unknown': 'Parameter {id}',
+
+  'resolution.instant': 'Instantaneous',
+  'resolution.hourly': 'Hourly',
+  'resolution.daily': 'Daily',
+  'resolution.monthly': 'Monthly',
+
+  'aggregation.mean': 'Mean',
+  'aggregation.min': 'Minimum',
+  'aggregation.max': 'Maximum',
+  'aggregation.sum': 'Sum',
+
+  'quality.0': 'Unknown',
+  'quality.1': 'Uncontrolled',
+  'quality.2': 'Primary controlled',
+  'quality.3': 'Secondary controlled',
+
+  'correction.0': 'Not corrected',
+  'correction.1': 'Interpolated',
+  'correction.2': 'Manually corrected',
+  'correction.3': 'Removed',
+
+  'percentileClass.lowest': 'Lowest on record',
+  'percentileClass.veryLow': 'Very low',
+  'percentileClass.low': 'Low',
+  'percentileClass.normal': 'Normal',
+  'percentileClass.high': 'High',
+  'percentileClass.veryHigh': 'Very high',
+  'percentileClass.highest': 'Highest on record',
+
+  'empty.title': 'Choose a station',
+  'empty.text': 'Search for and pin one or more stations from the list on the left to view and compare data',
+
+  'tab.series': 'Time series',
+  'tab.analysis': 'Analysis: {station}',
+  'tab.rating': 'Rating curve',
+
+  'share.label': 'Share',
+  'share.title': 'Copy a link to this view',
+  'share.copied': 'Copied',
+  'share.prompt': 'Copy the link:',
+
+  'chart.loading': 'Fetching data...',
+  'chart.stationCount': '{count} stations',
+  'chart.watch': 'Add to watchlist',
+  'chart.unpin': 'Remove station',
+  'chart.zoomed': 'Showing {from} – {to}.',
+  'chart.hint': 'Drag across the chart to zoom in, or click to add an annotation.',
+  'chart.zoomLoading': 'Fetching more detail...',
+  'chart.resetZoom': 'Show whole period',
+  'chart.approvedOnly': 'quality-controlled values only',
+  'chart.percentiles': 'Show historical percentiles for {station}',
+  'chart.percentilesLoading': 'fetching history...',
+  'chart.percentilesMissing': 'no history available',
+  'chart.band.range': 'Min–max',
+  'chart.band.outer': '10–90%',
+  'chart.band.inner': '25–75%',
+  'chart.band.median': 'Median',
+  'chart.uncontrolled': '{name} (uncontrolled)',
+  'chart.legendNote': 'Dashed lines show uncontrolled data. Breaks in a line are periods without observations.',
+
+  'stats.count': 'Observations',
+  'stats.missing': '{count} missing',
+  'stats.gaps.one': '{count} gap',
+  'stats.gaps.other': '{count} gaps',
+  'stats.excluded': '{count} uncontrolled excluded',
+  'stats.min': 'Minimum',
+  'stats.max': 'Maximum',
+  'stats.mean': 'Mean',
+  'stats.latest': 'Latest value',
+  'stats.percentile': 'about percentile {percentile} ({value})',
+  'stats.zoomed': 'The figures are for the window {from} – {to}.',
+  'stats.zoomedRunoff': 'The figures are for the window {from} – {to}, while runoff covers the whole period.',
+
+  'table.title': 'Raw data',
+  'table.rows.one': '{count} row',
+  'table.rows.other': '{count} rows',
+  'table.time': 'Time ({zone})',
+  'table.value': 'Value',
+  'table.page': 'Rows {from}–{to} of {count}',
+  'table.previous': 'Previous page',
+  'table.next': 'Next page',
+
+  'annotations.title': 'Annotations',
+  'annotations.inPeriod': '{count} in this period',
+  'annotations.new': 'New annotation',
+  'annotations.time': 'Time ({zone})',
+  'annotations.station': 'Station',
+  'annotations.text': 'Note',
+  'annotations.placeholder': 'E.g. ice cover, flood, sensor replaced',
+  'annotations.delete': 'Delete annotation',
+
+  'chartExport.png': 'Download the chart as PNG',
+  'chartExport.svg': 'Download the chart as SVG',
+  'chartExport.pdf': 'Report with chart, statistics and station details',
+  'chartExport.pdfLabel': 'PDF report',
+  'chartExport.busy': 'Creating...',
+  'chartExport.pdfBusy': 'Creating report...',
+  'chartExport.noChart': 'No chart found to export',
+
+  'export.open': 'Export',
+  'export.title': 'Export data',
+  'export.format': 'Format',
+  'export.separator': 'Separator',
+  'export.decimal': 'Decimal mark',
+  'export.sameSeparators': 'The separator and the decimal mark cannot be the same.',
+  'export.series': 'Series',
+  'export.allSeries': 'All series in the view ({count})',
+  'export.approvedOnly': 'Quality-controlled values only',
+  'export.approvedOnlyNote': 'Uncontrolled values are left out.',
+  'export.note': 'The file starts with a header giving station, river, coordinates, parameter, unit, resolution and period. Times are in {zone}.',
+  'export.download': 'Download',
+  'export.source': 'Source',
+  'export.exported': 'Exported',
+  'export.timeZone': 'Time zone',
+  'export.seriesNumber': 'Series {number}',
+  'export.time': 'Time ({zone})',
+  'export.quality': '{name} quality',
+  'export.cumulativeVolume': '{name} cumulative volume (m³)',
+  'export.runoffPeriod': 'Runoff for the period',
+  'export.runoffYear': 'Runoff hydrological year {year}',
+  'export.runoffCoverage': 'coverage {percent}%',
+
+  'separator.semicolon': 'Semicolon (;)',
+  'separator.comma': 'Comma (,)',
+  'separator.tab': 'Tab',
+  'separator.decimalComma': 'Decimal comma (1,5)',
+  'separator.decimalPoint': 'Decimal point (1.5)',
+
+  'metadata.stationName': 'Station',
+  'metadata.stationId': 'Station number',
+  'metadata.riverName': 'River',
+  'metadata.latitude': 'Latitude',
+  'metadata.longitude': 'Longitude',
+  'metadata.drainageArea': 'Catchment area (km²)',
+  'metadata.parameter': 'Parameter',
+  'metadata.unit': 'Unit',
+  'metadata.resolution': 'Resolution',
+  'metadata.aggregation': 'Aggregation',
+  'metadata.from': 'From',
+  'metadata.to': 'To',
+
+  'report.source': 'Source: NVE HydAPI. Created {time} ({zone}).',
+  'report.stations': 'Stations',
+  'report.station': 'Station',
+  'report.station.stationId': 'Station number',
+  'report.station.riverName': 'River',
+  'report.station.councilName': 'Municipality',
+  'report.station.countyName': 'County',
+  'report.station.drainageBasinArea': 'Catchment (km²)',
+  'report.station.latitude': 'Latitude',
+  'report.station.longitude': 'Longitude',
+  'report.station.stationStatusName': 'Status',
+  'report.statistics': 'Statistics for the period shown',
+  'report.parameter': 'Parameter',
+  'report.unit': 'Unit',
+  'report.count': 'Observations',
+  'report.min': 'Min',
+  'report.max': 'Max',
+  'report.mean': 'Mean',
+  'report.runoff': 'Runoff',
+  'report.period': 'Period',
+  'report.volume': 'Volume (million m³)',
+  'report.meanDischarge': 'Mean (m³/s)',
+  'report.coverage': 'Coverage',
+  'report.wholePeriod': 'Whole period',
+  'report.hydrologicalYear': 'Hydrological year {year}',
+  'report.annotations': 'Annotations',
+  'report.time': 'Time',
+  'report.annotation': 'Note',
+
+  'watchlist.title': 'Watchlist',
+  'watchlist.lastPoll': 'Last checked {time}',
+  'watchlist.notPolled': 'Not checked yet',
+  'watchlist.interval': 'updated every {minutes} minutes',
+  'watchlist.enableNotifications': 'Enable notifications',
+  'watchlist.pollNow': 'Check now',
+  'watchlist.removeStation': 'Remove from watchlist',
+  'watchlist.addParameter': '+ Parameter',
+  'watchlist.removeParameter': 'Remove parameter',
+  'watchlist.parameter': 'Parameter',
+  'watchlist.latest': 'Latest value',
+  'watchlist.lower': 'Lower limit',
+  'watchlist.upper': 'Upper limit',
+  'watchlist.status': 'Status',
+  'watchlist.state.above': 'Above limit',
+  'watchlist.state.below': 'Below limit',
+  'watchlist.state.ok': 'Normal',
+  'watchlist.noData': 'No data',
+  'watchlist.alerts': 'Alert log',
+  'watchlist.clearAlerts': 'Clear log',
+  'watchlist.alert.above': '{parameter} {value} above {threshold}',
+  'watchlist.alert.below': '{parameter} {value} below {threshold}',
+  'watchlist.notification.above': '{value} is above the upper limit ({threshold})',
+  'watchlist.notification.below': '{value} is below the lower limit ({threshold})',
+  'watchlist.showAll': 'Show all {count}',
+  'watchlist.showFewer': 'Show fewer',
+
+  'analysis.source': 'Data',
+  'analysis.source.record': 'Full record (daily)',
+  'analysis.source.view': 'Selected period',
+  'analysis.yearStart': 'Year starts',
+  'analysis.yearStart.january': '1 January',
+  'analysis.yearStart.september': '1 September (hydrological year)',
+  'analysis.historyLoading': 'Fetching history...',
+  'analysis.noHistory': 'No history available, using the selected period.',
+  'analysis.noValues': 'No values to analyse.',
+  'analysis.median': 'Median (Q50)',
+  'analysis.lowFlow': 'Low flow (Q95)',
+  'analysis.lowFlow.detail': '{unit}, exceeded 95% of the time',
+  'analysis.meanFlood': 'Mean annual flood',
+  'analysis.meanFlood.detail.one': '{unit}, mean of {count} annual maximum',
+  'analysis.meanFlood.detail.other': '{unit}, mean of {count} annual maxima',
+  'analysis.baseflow': 'Baseflow index',
+  'analysis.baseflow.detail': 'Lyne–Hollick filter, α = {alpha}',
+  'analysis.durationCurve': 'Flow duration curve',
+  'analysis.logAxis': 'Logarithmic axis',
+  'analysis.exceedanceAxis': 'Share of time the value is exceeded',
+  'analysis.exceeded': 'Exceeded {percent} of the time',
+  'analysis.annualExtremes': 'Annual extremes',
+  'analysis.annualMax': 'Annual maximum',
+  'analysis.annualMin': 'Annual minimum',
+  'analysis.incompleteYear': '{year} (incomplete year)',
+  'analysis.incompleteYears.one': '{count} year has less than 80% coverage and is left out of the frequency analysis.',
+  'analysis.incompleteYears.other': '{count} years have less than 80% coverage and are left out of the frequency analysis.',
+  'analysis.floodFrequency': 'Flood frequency',
+  'analysis.floodFrequency.note': 'Gumbel and GEV fitted to {count} annual maxima with L-moments. Estimates for return periods far beyond the number of years with data are very uncertain.',
+  'analysis.floodFrequency.tooShort': 'Flood frequency analysis needs at least five complete years of data.',
+  'analysis.gumbel': 'Gumbel',
+  'analysis.gev': 'GEV',
+  'analysis.returnPeriod': 'Return period',
+  'analysis.returnPeriodAxis': 'Return period (years)',
+  'analysis.years': '{years} years',
+  'analysis.observed': 'Observed',
+
+  'rating.unavailable': '{station} does not measure both water level and discharge, so no rating curve can be shown.',
+  'rating.loading': 'Fetching water level and discharge for {station}...',
+  'rating.error': 'Could not fetch water level and discharge: {message}',
+  'rating.tooFew': 'Too few simultaneous observations of water level and discharge ({count}) to fit a curve.',
+  'rating.fitted': 'Fitted curve',
+  'rating.units': 'h in m, Q in m³/s',
+  'rating.pairs.one': '{count} pair',
+  'rating.pairs.other': '{count} pairs',
+  'rating.outliers': 'Outliers',
+  'rating.outliers.detail': 'more than 3 robust standard deviations from the curve',
+  'rating.scatter': 'Water level against discharge',
+  'rating.stageAxis': 'Water level (m)',
+  'rating.dischargeAxis': 'Discharge (m³/s)',
+  'rating.measurements': 'Observations',
+  'rating.curve': 'Curve',
+  'rating.outlier': 'Outlier',
+  'rating.deviation': 'Deviation',
+  'rating.residualsOverTime': 'Deviation from the curve over time',
+  'rating.residualsNote': 'Deviation as a percentage of the curve value. Periods of deviation in the same direction often point to ice or sensor drift.',
+  'rating.worst': 'Largest deviations',
+  'rating.worstOf': '({shown} of {total})',
+  'rating.time': 'Time',
+  'rating.stage': 'Water level',
+  'rating.discharge': 'Discharge',
+
+  'runoff.volume': 'Runoff volume',
+  'runoff.needsMean': 'Runoff is not shown for the “{aggregation}” aggregation, only for mean discharge.',
+  'runoff.volumeShort': 'Volume',
+  'runoff.coverage': 'data for {percent} of the period',
+  'runoff.specific': 'Specific runoff',
+  'runoff.depth': 'Runoff depth',
+  'runoff.overArea': 'over {area} km²',
+  'runoff.unknownArea': 'catchment area unknown',
+  'runoff.years': 'Hydrological years',
+  'runoff.show': 'Show breakdown and cumulative volume',
+  'runoff.hide': 'Hide breakdown',
+  'runoff.yearColumn': 'Year (1 Sep)',
+  'runoff.volumeColumn': 'Million m³',
+  'runoff.meanColumn': 'Mean m³/s',
+  'runoff.coverageColumn': 'Coverage',
+  'runoff.incompleteNote': 'Grey years have data for less than 95% of the time in the period, so their volume is too low.',
+  'runoff.cumulative': 'Cumulative volume (million m³)'
+};
@@ -0,0 +1,372 @@
+// Norwegian (bokmål) texts. This is the fallback for anything missing in
+// another language, so every key used in the app must be here.
+export default {
+  'app.title': 'NVE Vannføringsdata',
+  'app.subtitle': 'Norges vassdrags- og energidirektorat',
+  'app.offline': 'Får ikke kontakt med NVE. Viser lagrede data, som kan være utdaterte.',
+
+  'common.save': 'Lagre',
+  'common.cancel': 'Avbryt',
+  'common.close': 'Lukk',
+  'common.yes': 'Ja',
+  'common.no': 'Nei',
+
+  'locale.language': 'Språk',
+  'locale.timeZone': 'Tidssone',
+  'timeZone.Europe/Oslo': 'norsk tid',
+  'timeZone.Europe/Oslo.short': 'Norsk tid',
+  'timeZone.Europe/Oslo.hint': 'Vis tidspunkter i norsk tid (CET/CEST)',
+  'timeZone.UTC': 'UTC',
+  'timeZone.UTC.short': 'UTC',
+  'timeZone.UTC.hint': 'Vis tidspunkter i UTC, slik NVE leverer dem',
+
+  'unit.millionCubicMetres': 'mill. m³',
+
+  'error.unknown': 'Ukjent feil',
+  'error.changeApiKey': 'Endre API-nøkkel',
+  'error.AuthError': 'API-nøkkelen ble avvist. Sjekk at den er riktig.',
+  'error.ForbiddenError': 'API-nøkkelen har ikke tilgang til disse dataene.',
+  'error.NotFoundError': 'Fant ikke dataene hos NVE.',
+  'error.RateLimitError': 'For mange forespørsler til NVE. Vent litt og prøv igjen.',
+  'error.ServerError': 'NVE svarte med en feil ({status}). Prøv igjen senere.',
+  'error.NetworkError': 'Får ikke kontakt med NVE. Sjekk nettforbindelsen.',
+  'error.HydApiError': 'Uventet svar fra NVE ({status}).',
+  'error.noData': 'Ingen data for {parameter} i perioden.',
+  'error.ChartImageError': 'Kunne ikke tegne grafen som bilde',
+
+  'apiKey.intro': 'Søk og visualiser vannføringsdata fra norske målestasjoner',
+  'apiKey.label': 'API Nøkkel',
+  'apiKey.placeholder': 'Skriv inn din NVE API nøkkel',
+  'apiKey.connect': 'Koble til',
+  'apiKey.connecting': 'Kobler til...',
+
+  'search.title': 'Søk målestasjon',
+  'search.placeholder': 'Søk etter navn, elv, kommune eller ID...',
+  'search.found.one': '{count} stasjon funnet',
+  'search.found.other': '{count} stasjoner funnet',
+  'search.foundInArea.one': '{count} stasjon funnet i valgt område',
+  'search.foundInArea.other': '{count} stasjoner funnet i valgt område',
+
+  'filters.title': 'Filtre',
+  'filters.county': 'Fylke',
+  'filters.allCounties': 'Alle fylker',
+  'filters.council': 'Kommune',
+  'filters.allCouncils': 'Alle kommuner',
+  'filters.area': 'Nedbørfelt (km²)',
+  'filters.from': 'Fra',
+  'filters.to': 'Til',
+  'filters.regulation': 'Regulering',
+  'filters.regulation.all': 'Alle',
+  'filters.regulation.regulated': 'Regulert',
+  'filters.regulation.unregulated': 'Uregulert',
+  'filters.status': 'Status',
+  'filters.status.all': 'Alle',
+  'filters.status.active': 'Aktive',
+  'filters.status.closed': 'Nedlagte',
+  'filters.parameters': 'Måler',
+  'filters.years': 'Data i perioden (år)',
+  'filters.reset': 'Nullstill filtre',
+
+  'map.title': 'Kart',
+  'map.rectangle': 'Tegn rektangel',
+  'map.polygon': 'Tegn polygon (dobbeltklikk for å avslutte)',
+  'map.clearArea': 'Fjern område',
+  'map.rectangleHint': 'Klikk og dra for å velge et område',
+  'map.polygonHint': 'Klikk for å legge til hjørner, dobbeltklikk for å avslutte',
+  'map.shown.one': '{count} stasjon vist',
+  'map.shown.other': '{count} stasjoner vist',
+
+  'settings.title': 'Innstillinger',
+  'settings.parameter': 'Parameter',
+  'settings.extraParameters': 'Vis også i egne paneler',
+  'settings.resolution': 'Oppløsning',
+  'settings.resolution.auto': 'Automatisk ({resolution})',
+  'settings.aggregation': 'Aggregering',
+  'settings.from': 'Fra dato',
+  'settings.to': 'Til dato',
+  'settings.fetch': 'Hent data',
+  'settings.loading': 'Laster...',
+  'settings.approvedOnly': 'Kun kontrollerte verdier i statistikk og eksport',
+  'settings.clearCache': 'Tøm lokal buffer',
+
+  'parameter.1000': 'Vannstand',
+  'parameter.1001': 'Vannføring',
+  'parameter.1003': 'Vanntemperatur',
+  'parameter.17': 'Lufttemperatur',
+  'parameter.2001': 'Snødybde',
+  'parameter.3001': 'Nedbør',
+  'parameter.unknown': 'Parameter {id}',
+
+  'resolution.instant': 'Momentan',
+  'resolution.hourly': 'Time',
+  'resolution.daily': 'Døgn',
+  'resolution.monthly': 'Måned',
+
+  'aggregation.mean': 'Gjennomsnitt',
+  'aggregation.min': 'Minimum',
+  'aggregation.max': 'Maksimum',
+  'aggregation.sum': 'Sum',
+
+  'quality.0': 'Ukjent',
+  'quality.1': 'Ukontrollert',
+  'quality.2': 'Primærkontrollert',
+  'quality.3': 'Sekundærkontrollert',
+
+  'correction.0': 'Ikke korrigert',
+  'correction.1': 'Interpolert',
+  'correction.2': 'Manuelt korrigert',
+  'correction.3': 'Fjernet',
+
+  'percentileClass.lowest': 'Laveste registrert',
+  'percentileClass.veryLow': 'Svært lav',
+  'percentileClass.low': 'Lav',
+  'percentileClass.normal': 'Normal',
+  'percentileClass.high': 'Høy',
+  'percentileClass.veryHigh': 'Svært høy',
+  'percentileClass.highest': 'Høyeste registrert',
+
+  'empty.title': 'Velg en målestasjon',
+  'empty.text': 'Søk og fest en eller flere målestasjoner fra listen til venstre for å se og sammenligne data',
+
+  'tab.series': 'Tidsserie',
+  'tab.analysis': 'Analyse: {station}',
+  'tab.rating': 'Vannføringskurve',
+
+  'share.label': 'Del',
+  'share.title': 'Kopier lenke til denne visningen',
+  'share.copied': 'Kopiert',
+  'share.prompt': 'Kopier lenken:',
+
+  'chart.loading': 'Henter data...',
+  'chart.stationCount': '{count} stasjoner',
+  'chart.watch': 'Legg til i overvåkning',
+  'chart.unpin': 'Fjern stasjon',
+  'chart.zoomed': 'Viser {from} – {to}.',
+  'chart.hint': 'Dra over grafen for å zoome inn, eller klikk for å legge til en merknad.',
+  'chart.zoomLoading': 'Henter flere detaljer...',
+  'chart.resetZoom': 'Vis hele perioden',
+  'chart.approvedOnly': 'kun kontrollerte verdier',
+  'chart.percentiles': 'Vis historiske persentiler for {station}',
+  'chart.percentilesLoading': 'henter historikk...',
+  'chart.percentilesMissing': 'ingen historikk tilgjengelig',
+  'chart.band.range': 'Min–maks',
+  'chart.band.outer': '10–90 %',
+  'chart.band.inner': '25–75 %',
+  'chart.band.median': 'Median',
+  'chart.uncontrolled': '{name} (ukontrollert)',
+  'chart.legendNote': 'Stiplet linje viser ukontrollerte data. Brudd i linjen er perioder uten målinger.',
+
+  'stats.count': 'Målinger',
+  'stats.missing': '{count} mangler',
+  'stats.gaps': '{count} hull',
+  'stats.excluded': '{count} ukontrollerte utelatt',
+  'stats.min': 'Minimum',
+  'stats.max': 'Maksimum',
+  'stats.mean': 'Gjennomsnitt',
+  'stats.latest': 'Siste måling',
+  'stats.percentile': 'ca. {percentile}. persentil ({value})',
+  'stats.zoomed': 'Tallene gjelder utsnittet {from} – {to}.',
+  'stats.zoomedRunoff': 'Tallene gjelder utsnittet {from} – {to}, mens avrenningen gjelder hele perioden.',
+
+  'table.title': 'Rådata',
+  'table.rows.one': '{count} rad',
+  'table.rows.other': '{count} rader',
+  'table.time': 'Tidspunkt ({zone})',
+  'table.value': 'Verdi',
+  'table.page': 'Rad {from}–{to} av {count}',
+  'table.previous': 'Forrige side',
+  'table.next': 'Neste side',
+
+  'annotations.title': 'Merknader',
+  'annotations.inPeriod': '{count} i perioden',
+  'annotations.new': 'Ny merknad',
+  'annotations.time': 'Tidspunkt ({zone})',
+  'annotations.station': 'Stasjon',
+  'annotations.text': 'Merknad',
+  'annotations.placeholder': 'F.eks. islegging, flom, sensorbytte',
+  'annotations.delete': 'Slett merknad',
+
+  'chartExport.png': 'Last ned grafen som PNG',
+  'chartExport.svg': 'Last ned grafen som SVG',
+  'chartExport.pdf': 'Rapport med graf, statistikk og stasjonsinformasjon',
+  'chartExport.pdfLabel': 'PDF-rapport',
+  'chartExport.busy': 'Lager...',
+  'chartExport.pdfBusy': 'Lager rapport...',
+  'chartExport.noChart': 'Fant ingen graf å eksportere',
+
+  'export.open': 'Eksporter',
+  'export.title': 'Eksporter data',
+  'export.format': 'Format',
+  'export.separator': 'Skilletegn',
+  'export.decimal': 'Desimaltegn',
+  'export.sameSeparators': 'Skilletegn og desimaltegn kan ikke være like.',
+  'export.series': 'Serier',
+  'export.allSeries': 'Alle serier i visningen ({count})',
+  'export.approvedOnly': 'Kun kontrollerte verdier',
+  'export.approvedOnlyNote': 'Ukontrollerte verdier er utelatt.',
+  'export.note': 'Filen får en innledning med stasjon, elv, koordinater, parameter, enhet, oppløsning og tidsrom. Tidspunkter er i {zone}.',
+  'export.download': 'Last ned',
+  'export.source': 'Kilde',
+  'export.exported': 'Eksportert',
+  'export.timeZone': 'Tidssone',
+  'export.seriesNumber': 'Serie {number}',
+  'export.time': 'Tidspunkt ({zone})',
+  'export.quality': '{name} kvalitet',
+  'export.cumulativeVolume': '{name} kumulativt volum (m³)',
+  'export.runoffPeriod': 'Avrenning for perioden',
+  'export.runoffYear': 'Avrenning hydrologisk år {year}',
+  'export.runoffCoverage': 'dekning {percent} %',
+
+  'separator.semicolon': 'Semikolon (;)',
+  'separator.comma': 'Komma (,)',
+  'separator.tab': 'Tabulator',
+  'separator.decimalComma': 'Desimalkomma (1,5)',
+  'separator.decimalPoint': 'Desimalpunktum (1.5)',
+
+  'metadata.stationName': 'Stasjon',
+  'metadata.stationId': 'Stasjonsnummer',
+  'metadata.riverName': 'Elv',
+  'metadata.latitude': 'Breddegrad',
+  'metadata.longitude': 'Lengdegrad',
+  'metadata.drainageArea': 'Nedbørfelt (km²)',
+  'metadata.parameter': 'Parameter',
+  'metadata.unit': 'Enhet',
+  'metadata.resolution': 'Oppløsning',
+  'metadata.aggregation': 'Aggregering',
+  'metadata.from': 'Fra',
+  'metadata.to': 'Til',
+
+  'report.source': 'Kilde: NVE HydAPI. Laget {time} ({zone}).',
+  'report.stations': 'Stasjoner',
+  'report.station': 'Stasjon',
+  'report.station.stationId': 'Stasjonsnummer',
+  'report.station.riverName': 'Elv',
+  'report.station.councilName': 'Kommune',
+  'report.station.countyName': 'Fylke',
+  'report.station.drainageBasinArea': 'Nedbørfelt (km²)',
+  'report.station.latitude': 'Breddegrad',
+  'report.station.longitude': 'Lengdegrad',
+  'report.station.stationStatusName': 'Status',
+  'report.statistics': 'Statistikk for viste periode',
+  'report.parameter': 'Parameter',
+  'report.unit': 'Enhet',
+  'report.count': 'Målinger',
+  'report.min': 'Min',
+  'report.max': 'Maks',
+  'report.mean': 'Snitt',
+  'report.runoff': 'Avrenning',
+  'report.period': 'Periode',
+  'report.volume': 'Volum (mill. m³)',
+  'report.meanDischarge': 'Snitt (m³/s)',
+  'report.coverage': 'Dekning',
+  'report.wholePeriod': 'Hele perioden',
+  'report.hydrologicalYear': 'Hydrologisk år {year}',
+  'report.annotations': 'Merknader',
+  'report.time': 'Tidspunkt',
+  'report.annotation': 'Merknad',
+
+  'watchlist.title': 'Overvåkning',
+  'watchlist.lastPoll': 'Sist sjekket {time}',
+  'watchlist.notPolled': 'Ikke sjekket ennå',
+  'watchlist.interval': 'oppdateres hvert {minutes}. minutt',
+  'watchlist.enableNotifications': 'Aktiver varsler',
+  'watchlist.pollNow': 'Sjekk nå',
+  'watchlist.removeStation': 'Fjern fra overvåkning',
+  'watchlist.addParameter': '+ Parameter',
+  'watchlist.removeParameter': 'Fjern parameter',
+  'watchlist.parameter': 'Parameter',
+  'watchlist.latest': 'Siste verdi',
+  'watchlist.lower': 'Nedre grense',
+  'watchlist.upper': 'Øvre grense',
+  'watchlist.status': 'Status',
+  'watchlist.state.above': 'Over grense',
+  'watchlist.state.below': 'Under grense',
+  'watchlist.state.ok': 'Normal',
+  'watchlist.noData': 'Ingen data',
+  'watchlist.alerts': 'Varsellogg',
+  'watchlist.clearAlerts': 'Tøm logg',
+  'watchlist.alert.above': '{parameter} {value} over {threshold}',
+  'watchlist.alert.below': '{parameter} {value} under {threshold}',
+  'watchlist.notification.above': '{value} er over øvre grense ({threshold})',
+  'watchlist.notification.below': '{value} er under nedre grense ({threshold})',
+  'watchlist.showAll': 'Vis alle {count}',
+  'watchlist.showFewer': 'Vis færre',
+
+  'analysis.source': 'Datagrunnlag',
+  'analysis.source.record': 'Hele måleserien (døgn)',
+  'analysis.source.view': 'Valgt periode',
+  'analysis.yearStart': 'Årsstart',
+  'analysis.yearStart.january': '1. januar',
+  'analysis.yearStart.september': '1. september (hydrologisk år)',
+  'analysis.historyLoading': 'Henter historikk...',
+  'analysis.noHistory': 'Ingen historikk tilgjengelig, bruker valgt periode.',
+  'analysis.noValues': 'Ingen verdier å analysere.',
+  'analysis.median': 'Median (Q50)',
+  'analysis.lowFlow': 'Lavvann (Q95)',
+  'analysis.lowFlow.detail': '{unit}, overskredet 95 % av tiden',
+  'analysis.meanFlood': 'Middelflom',
+  'analysis.meanFlood.detail.one': '{unit}, snitt av {count} årsmaksimum',
+  'analysis.meanFlood.detail.other': '{unit}, snitt av {count} årsmaksima',
+  'analysis.baseflow': 'Baseflow-indeks',
+  'analysis.baseflow.detail': 'Lyne–Hollick-filter, α = {alpha}',
+  'analysis.durationCurve': 'Varighetskurve',
+  'analysis.logAxis': 'Logaritmisk akse',
+  'analysis.exceedanceAxis': 'Andel av tiden verdien er overskredet',
+  'analysis.exceeded': 'Overskredet {percent} av tiden',
+  'analysis.annualExtremes': 'Årlige ekstremverdier',
+  'analysis.annualMax': 'Årsmaksimum',
+  'analysis.annualMin': 'Årsminimum',
+  'analysis.incompleteYear': '{year} (ufullstendig år)',
+  'analysis.incompleteYears': '{count} år har under 80 % dekning og er holdt utenfor frekvensanalysen.',
+  'analysis.floodFrequency': 'Flomfrekvens',
+  'analysis.floodFrequency.note': 'Gumbel og GEV tilpasset {count} årsmaksima med L-momenter. Estimater for gjentaksintervall langt over antall år med data er svært usikre.',
+  'analysis.floodFrequency.tooShort': 'Flomfrekvensanalyse krever minst fem fullstendige år med data.',
+  'analysis.gumbel': 'Gumbel',
+  'analysis.gev': 'GEV',
+  'analysis.returnPeriod': 'Gjentak',
+  'analysis.returnPeriodAxis': 'Gjentaksintervall (år)',
+  'analysis.years': '{years} år',
+  'analysis.observed': 'Observert',
+
+  'rating.unavailable': '{station} har ikke både vannstand og vannføring, så vannføringskurven kan ikke vises.',
+  'rating.loading': 'Henter vannstand og vannføring for {station}...',
+  'rating.error': 'Kunne ikke hente vannstand og vannføring: {message}',
+  'rating.tooFew': 'For få samtidige målinger av vannstand og vannføring ({count}) til å tilpasse en kurve.',
+  'rating.fitted': 'Tilpasset kurve',
+  'rating.units': 'h i m, Q i m³/s',
+  'rating.pairs': '{count} målepar',
+  'rating.outliers': 'Avvikende punkter',
+  'rating.outliers.detail': 'mer enn 3 robuste standardavvik fra kurven',
+  'rating.scatter': 'Vannstand mot vannføring',
+  'rating.stageAxis': 'Vannstand (m)',
+  'rating.dischargeAxis': 'Vannføring (m³/s)',
+  'rating.measurements': 'Målinger',
+  'rating.curve': 'Kurve',
+  'rating.outlier': 'Avvikende punkt',
+  'rating.deviation': 'Avvik',
+  'rating.residualsOverTime': 'Avvik fra kurven over tid',
+  'rating.residualsNote': 'Avvik i prosent av kurveverdien. Perioder med avvik samme vei tyder ofte på is eller drift i sensoren.',
+  'rating.worst': 'Største avvik',
+  'rating.worstOf': '({shown} av {total})',
+  'rating.time': 'Tidspunkt',
+  'rating.stage': 'Vannstand',
+  'rating.discharge': 'Vannføring',
+
+  'runoff.volume': 'Avrenningsvolum',
+  'runoff.needsMean': 'Avrenning vises ikke for aggregeringen «{aggregation}», bare for gjennomsnittlig vannføring.',
+  'runoff.volumeShort': 'Volum',
+  'runoff.coverage': 'data for {percent} av perioden',
+  'runoff.specific': 'Spesifikk avrenning',
+  'runoff.depth': 'Avrenningshøyde',
+  'runoff.overArea': 'over {area} km²',
+  'runoff.unknownArea': 'nedbørfeltet er ukjent',
+  'runoff.years': 'Hydrologiske år',
+  'runoff.show': 'Vis fordeling og kumulativt volum',
+  'runoff.hide': 'Skjul fordeling',
+  'runoff.yearColumn': 'År (1. sep.)',
+  'runoff.volumeColumn': 'Mill. m³',
+  'runoff.meanColumn': 'Snitt m³/s',
+  'runoff.coverageColumn': 'Dekning',
+  'runoff.incompleteNote': 'Grå år har data for under 95 % av tiden i perioden, og volumet er da for lavt.',
+  'runoff.cumulative': 'Kumulativt volum (mill. m³)'
+};
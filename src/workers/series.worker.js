@@ -0,0 +1,9 @@
+import { TASKS } from '../lib/seriesTasks';
+
+self.onmessage = ({ data: { id, type, payload } }) => {
+  try {
+    self.postMessage({ id, result: TASKS[type](payload) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};